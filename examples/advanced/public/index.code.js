@@ -1,5 +1,9 @@
 const fs = require('fs')
 const path = require('path')
+const {
+  StratisPushNotification,
+  StratisCodeObject,
+} = require('../../../src/index')
 
 /**
  * @typedef {import('@lamaani/stratis').StratisApiHandler} StratisApiHandler
@@ -51,6 +55,28 @@ async function upload_file({ fname = null }, context) {
   return await fs.promises.readFile(fpath, encoding)
 }
 
+/**
+ * A raw express request handler. Echos the request payload back to the client.
+ * @type {import('@lamaani/stratis').StratisRequestHandler}
+ */
+function echo_payload(req, res, next) {
+  res.setHeader('content-type', req.headers['content-type'] || 'text/plain')
+  req.pipe(res)
+}
+
+/**
+ * Pushed to all browsers connected to this page.
+ */
+const broadcast = new StratisPushNotification()
+
+/**
+ * Sends a message to all connected browsers.
+ * @type {StratisApiHandler}
+ * */
+async function send_broadcast({ message = 'hello' }, context) {
+  return broadcast.send({ message, sent_at: new Date() })
+}
+
 module.exports = {
   a_value: {
     some: 'value',
@@ -59,4 +85,10 @@ module.exports = {
   get_page,
   upload_file,
   get_page_binary,
+  broadcast,
+  send_broadcast,
+  echo_payload: new StratisCodeObject({
+    type: 'REQUEST_HANDLER',
+    val: echo_payload,
+  }),
 }
@@ -18,6 +18,7 @@ const {
 const { StratisOAuth2Provider } = require('./utils/oauth2')
 const { Stratis } = require('./webserver/stratis.js')
 const { assert, get_express_request_url, concat_url_args } = require('./common')
+const { to_yaml } = require('./utils/yaml')
 
 /**
  * @typedef {import('./utils/session').StratisSessionProviderOptions} StratisSessionProviderOptions
@@ -314,7 +315,51 @@ class StratisCli {
       environmentVariable: 'STRATIS_SHOW_APP_ERRORS',
       default: this.show_app_errors,
       description:
-        'If true, sends the application error details to the client with 500 http response.',
+        'If true, sends the application error details to the client with 500 http response, and shows the error overlay page (with the template source) to browsers.',
+    }
+
+    /** If true, reloads the open pages when their files change. */
+    this.live_reload = false
+    /** @type {CliArgument} */
+    this.__$live_reload = {
+      type: 'flag',
+      environmentVariable: 'STRATIS_LIVE_RELOAD',
+      default: this.live_reload,
+      description:
+        'If true, watches the serve path and reloads the open pages (or hot swaps the stylesheets) when their files change. Enables file_watch. For development.',
+    }
+
+    /** If true, templates and code modules are invalidated by file change events (no per request file checks) */
+    this.file_watch = false
+    /** @type {CliArgument} */
+    this.__$file_watch = {
+      type: 'flag',
+      environmentVariable: 'STRATIS_FILE_WATCH',
+      default: this.file_watch,
+      description:
+        'If true, templates and code modules are reloaded when a file watcher reports a change, instead of checking the files modified time on request.',
+    }
+
+    /** @type {'auto'|'native'|'poll'} The file watch mode */
+    this.file_watch_mode = 'auto'
+    /** @type {CliArgument} */
+    this.__$file_watch_mode = {
+      type: 'named',
+      environmentVariable: 'STRATIS_FILE_WATCH_MODE',
+      default: this.file_watch_mode,
+      description:
+        'The file watch mode. native = fs.watch (inotify), poll = poll the loaded files, auto = native, falling back to poll if not available.',
+    }
+
+    /** The file watch polling interval [ms] */
+    this.file_watch_poll_interval = 1000
+    /** @type {CliArgument} */
+    this.__$file_watch_poll_interval = {
+      type: 'named',
+      environmentVariable: 'STRATIS_FILE_WATCH_POLL_INTERVAL',
+      default: this.file_watch_poll_interval,
+      parse: (val) => (typeof val == 'number' ? val : parseInt(val)),
+      description: 'The file watch polling interval [ms] (poll mode)',
     }
 
     /** @type {[RegExp]} An array or newline separated list of regular expressions to allow http connections. Only active in the case where https is active. */
@@ -393,9 +438,121 @@ class StratisCli {
         'Configuration file path (json) for oauth2. See README for more.',
     }
 
+    /** If not empty, serves the OpenAPI document of all the serve path pages at this url path. */
+    this.openapi_path = null
+    /** @type {CliArgument} */
+    this.__$openapi_path = {
+      type: 'named',
+      environmentVariable: 'STRATIS_OPENAPI_PATH',
+      default: this.openapi_path,
+      description:
+        'If not empty, serves the OpenAPI document of all the serve path pages at this url path (e.g. /openapi). Add ?format=yaml for yaml.',
+      parse: (p) => (p == null || p.trim().length == 0 ? null : p.trim()),
+    }
+
+    /** If not empty, serves the site index (all pages and their api routes) at this url path. */
+    this.site_index_path = null
+    /** @type {CliArgument} */
+    this.__$site_index_path = {
+      type: 'named',
+      environmentVariable: 'STRATIS_SITE_INDEX_PATH',
+      default: this.site_index_path,
+      description:
+        'If not empty, serves the site index (all pages, access modes and api routes) at this url path (e.g. /site_index).',
+      parse: (p) => (p == null || p.trim().length == 0 ? null : p.trim()),
+    }
+
+    /** Print the site index (all pages and their api routes) and exit */
+    this.print_site_index = false
+    /** @type {CliArgument} */
+    this.__$print_site_index = {
+      type: 'flag',
+      default: this.print_site_index,
+      description:
+        'Print the site index (all pages, access modes and api routes) and exit',
+    }
+
+    /** If not empty, generate the node client sdk (.js and .d.ts) at this path (without extension) and exit */
+    this.client_sdk_path = null
+    /** @type {CliArgument} */
+    this.__$client_sdk_path = {
+      type: 'named',
+      default: this.client_sdk_path,
+      description:
+        'If not empty, generate the node client sdk (.js and .d.ts) at this path (without extension, e.g. ./clients/my_site) and exit',
+      parse: (p) =>
+        p == null || p.trim().length == 0
+          ? null
+          : path.resolve(p.trim().replace(/\.(d\.ts|js)$/, '')),
+    }
+
+    /** The websocket ping interval [ms]. Connections that do not respond are terminated. If 0, no heartbeat. */
+    this.ws_heartbeat_interval = 30000
+    /** @type {CliArgument} */
+    this.__$ws_heartbeat_interval = {
+      type: 'named',
+      environmentVariable: 'STRATIS_WS_HEARTBEAT_INTERVAL',
+      default: this.ws_heartbeat_interval,
+      description:
+        'The websocket ping interval [ms]. Connections that do not respond are terminated. If 0, no heartbeat.',
+      parse: (val) => (typeof val == 'number' ? val : parseInt(val)),
+    }
+
+    /** Close websocket connections that did not send a message for this long [ms]. If 0, no idle timeout. */
+    this.ws_idle_timeout = 0
+    /** @type {CliArgument} */
+    this.__$ws_idle_timeout = {
+      type: 'named',
+      environmentVariable: 'STRATIS_WS_IDLE_TIMEOUT',
+      default: this.ws_idle_timeout,
+      description:
+        'Close websocket connections that did not send a message for this long [ms]. If 0, no idle timeout.',
+      parse: (val) => (typeof val == 'number' ? val : parseInt(val)),
+    }
+
+    /** The max number of concurrent websocket connections per client (user or ip). If 0, no limit. */
+    this.ws_max_connections_per_client = 0
+    /** @type {CliArgument} */
+    this.__$ws_max_connections_per_client = {
+      type: 'named',
+      environmentVariable: 'STRATIS_WS_MAX_CONNECTIONS_PER_CLIENT',
+      default: this.ws_max_connections_per_client,
+      description:
+        'The max number of concurrent websocket connections per client (user or ip). If 0, no limit.',
+      parse: (val) => (typeof val == 'number' ? val : parseInt(val)),
+    }
+
+    /** The max number of websocket messages per connection per ws_message_rate_interval. If 0, no limit. */
+    this.ws_message_rate_limit = 0
+    /** @type {CliArgument} */
+    this.__$ws_message_rate_limit = {
+      type: 'named',
+      environmentVariable: 'STRATIS_WS_MESSAGE_RATE_LIMIT',
+      default: this.ws_message_rate_limit,
+      description:
+        'The max number of websocket messages per connection per ws_message_rate_interval. If 0, no limit.',
+      parse: (val) => (typeof val == 'number' ? val : parseInt(val)),
+    }
+
+    /** The websocket message rate limit interval [ms] */
+    this.ws_message_rate_interval = 1000
+    /** @type {CliArgument} */
+    this.__$ws_message_rate_interval = {
+      type: 'named',
+      environmentVariable: 'STRATIS_WS_MESSAGE_RATE_INTERVAL',
+      default: this.ws_message_rate_interval,
+      description: 'The websocket message rate limit interval [ms]',
+      parse: (val) => (typeof val == 'number' ? val : parseInt(val)),
+    }
+
     this._api = null
     this._app = express()
 
+    /** @type {http.Server} The http server (if listening) */
+    this.http_server = null
+    /** @type {https.Server} The https server (if listening) */
+    this.https_server = null
+
     this._initialized = false
   }
 
@@ -424,6 +581,21 @@ class StratisCli {
         template_options: {
           add_require: this.ejs_add_require,
         },
+        websocket_options: {
+          heartbeat_interval: this.ws_heartbeat_interval,
+          idle_timeout: this.ws_idle_timeout,
+          max_connections_per_client: this.ws_max_connections_per_client,
+          message_rate_limit: this.ws_message_rate_limit,
+          message_rate_interval: this.ws_message_rate_interval,
+        },
+        live_reload_options: {
+          enabled: this.live_reload,
+        },
+        file_watch_options: {
+          enabled: this.file_watch,
+          mode: this.file_watch_mode,
+          poll_interval: this.file_watch_poll_interval,
+        },
       })
     }
     return this._api
@@ -473,6 +645,13 @@ class StratisCli {
       ? https.createServer({ ...ssl_certificates }, this.app)
       : null
 
+    // websocket upgrades are routed through the app to the pages.
+    this.api.attach_websocket_server(httpServer, this.app)
+    if (httpsServer) this.api.attach_websocket_server(httpsServer, this.app)
+
+    this.http_server = httpServer
+    this.https_server = httpsServer
+
     cli.logger.info(`Stratis is listening on: http://localhost:${this.port}`)
     if (ssl_certificates)
       cli.logger.info(
@@ -487,6 +666,22 @@ class StratisCli {
     else await httpServer.listen(this.port)
   }
 
+  /**
+   * Close the websockets and stop the listeners.
+   * @param {number} timeout The max time to wait for the websockets to close [ms]
+   */
+  async close(timeout = 1000 * 5) {
+    await this.api.close({ timeout })
+    const servers = [this.http_server, this.https_server].filter(
+      (s) => s != null
+    )
+    await Promise.all(
+      servers.map((s) => new Promise((resolve) => s.close(() => resolve())))
+    )
+    this.http_server = null
+    this.https_server = null
+  }
+
   /**
    * @param {Request} req
    * @param {Response} res
@@ -595,6 +790,82 @@ class StratisCli {
     this.logger.info('Enabled http/https redirection')
   }
 
+  _enable_openapi_description() {
+    this.app.get(this.openapi_path, async (req, res, next) => {
+      try {
+        // lists the secure pages, requires secure page access.
+        if (
+          !(await this.api.authenticate_secure_request(
+            req,
+            res,
+            this.serve_path
+          ))
+        )
+          return
+        const document = await this.api.create_openapi_document(
+          this.serve_path,
+          { title: this.service_name }
+        )
+        if (req.query.format == 'yaml') {
+          res.setHeader('content-type', 'application/yaml')
+          return res.end(to_yaml(document))
+        }
+        return res.json(document)
+      } catch (err) {
+        next(err)
+      }
+    })
+
+    this.logger.info(`Serving OpenAPI description @ ${this.openapi_path}`)
+  }
+
+  _enable_site_index() {
+    this.app.get(this.site_index_path, async (req, res, next) => {
+      try {
+        // lists the secure pages, requires secure page access.
+        if (
+          !(await this.api.authenticate_secure_request(
+            req,
+            res,
+            this.serve_path
+          ))
+        )
+          return
+        return res.json(await this.api.create_site_index(this.serve_path))
+      } catch (err) {
+        next(err)
+      }
+    })
+
+    this.logger.info(`Serving site index @ ${this.site_index_path}`)
+  }
+
+  async show_site_index() {
+    this.logger.info(
+      JSON.stringify(
+        await this.api.create_site_index(this.serve_path, {
+          include_private: true,
+        }),
+        null,
+        2
+      )
+    )
+  }
+
+  async generate_client_sdk() {
+    const sdk = await this.api.create_node_client_sdk(this.serve_path, {
+      title: this.service_name,
+    })
+
+    await fs.promises.mkdir(path.dirname(this.client_sdk_path), {
+      recursive: true,
+    })
+    await fs.promises.writeFile(this.client_sdk_path + '.js', sdk.js)
+    await fs.promises.writeFile(this.client_sdk_path + '.d.ts', sdk.dts)
+
+    this.logger.info(`Generated node client sdk @ ${this.client_sdk_path}.js`)
+  }
+
   _enable_cookies_parser() {
     this.app.use(
       cookie_parser(this.cookies_key, {
@@ -748,6 +1019,9 @@ class StratisCli {
 
     await this._enable_security_provider()
 
+    if (this.openapi_path != null) this._enable_openapi_description()
+    if (this.site_index_path != null) this._enable_site_index()
+
     this.api.server(options, this.app)
   }
 
@@ -766,6 +1040,9 @@ class StratisCli {
     // calling startup script
     await this.invoke_initialization_scripts(this.logger || console)
 
+    if (this.print_site_index) return await this.show_site_index()
+    if (this.client_sdk_path != null) return await this.generate_client_sdk()
+
     // will only print in debug mode.
     this.logger.debug('Debug mode ACTIVE'.yellow)
 
@@ -814,6 +1091,10 @@ function create_statis_cli() {
   cli.default(
     async (args) => {
       await stratis_cli_config.run(cli)
+      for (let signal of ['SIGINT', 'SIGTERM'])
+        process.once(signal, () =>
+          stratis_cli_config.close().finally(() => process.exit(0))
+        )
     },
     stratis_cli_config,
     {
@@ -94,8 +94,14 @@ function deep_merge_objects(target, ...to_merge) {
  * @param {()=>any} method The method to invoke (can be async)
  * @param {number} timeout The timeout
  * @param {Error} timeout_error The timeout error.
+ * @param {AbortController} abort_controller If provided, aborted (with the timeout error) on timeout.
  */
-async function with_timeout(method, timeout, timeout_error) {
+async function with_timeout(
+  method,
+  timeout,
+  timeout_error,
+  abort_controller = null
+) {
   assert(
     typeof timeout == 'number' && timeout > 0,
     'timeout muse be a number larger than zero'
@@ -103,7 +109,9 @@ async function with_timeout(method, timeout, timeout_error) {
 
   return await new Promise((resolve, reject) => {
     const timeout_id = setTimeout(() => {
-      reject(timeout_error || 'timeout ' + timeout)
+      timeout_error = timeout_error || 'timeout ' + timeout
+      if (abort_controller != null) abort_controller.abort(timeout_error)
+      reject(timeout_error)
     }, Math.ceil(timeout))
 
     ;(async () => {
@@ -157,6 +165,32 @@ function value_from_object_path(o, path) {
   return value_from_object_path(o, path)
 }
 
+const FORBIDDEN_OBJECT_PATH_KEYS = ['__proto__', 'constructor', 'prototype']
+
+/**
+ * Sets a value at an object path (the path parents must exist)
+ * @param {{}} o The object.
+ * @param {[string|number]} path The path keys, e.g. ['files', 0]
+ * @param {any} value The value to set.
+ */
+function set_value_at_object_path(o, path, value) {
+  assert(Array.isArray(path) && path.length > 0, 'Invalid or empty path')
+  for (let i = 0; i < path.length; i++) {
+    const key = path[i]
+    assert(
+      (typeof key == 'string' || Number.isInteger(key)) &&
+        !FORBIDDEN_OBJECT_PATH_KEYS.includes(key),
+      'Invalid object path key: ' + key
+    )
+    assert(
+      o != null && typeof o == 'object',
+      'Object path parent not found: ' + path.slice(0, i).join('.')
+    )
+    if (i == path.length - 1) o[key] = value
+    else o = o[key]
+  }
+}
+
 function escape_regex(val) {
   return val.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&')
 }
@@ -306,6 +340,7 @@ module.exports = {
   get_express_request_url,
   milliseconds_utc_since_epoc,
   value_from_object_path,
+  set_value_at_object_path,
   create_uuid,
   escape_regex,
   remove_path_folder_ender,
@@ -13,10 +13,24 @@ class StratisError extends Error {
     return 500
   }
 
+  /**
+   * A stable (machine readable) error code, sent to the client with the error.
+   */
+  get error_code() {
+    return 'internal_error'
+  }
+
   get requires_reload() {
     return false
   }
 
+  /**
+   * Error details (json compatible) to send to the client. If null, not sent.
+   */
+  get details() {
+    return null
+  }
+
   /**
    * If true then emit error event
    */
@@ -41,16 +55,86 @@ class StratisNoEmitError extends StratisError {
   }
 }
 
+class StratisRequestError extends StratisNoEmitError {
+  /**
+   * A client (request) error, with optional details to send to the client.
+   * @param {string} message The error message.
+   * @param {any} details Error details (json compatible) to send to the client.
+   */
+  constructor(message, details = null) {
+    super(message)
+    this._details = details
+  }
+
+  get details() {
+    return this._details
+  }
+}
+
+class StratisBadRequestError extends StratisRequestError {
+  get http_response_code() {
+    return 400
+  }
+
+  get error_code() {
+    return 'bad_request'
+  }
+}
+
+class StratisForbiddenError extends StratisRequestError {
+  /**
+   * The request is authenticated but not permitted (as opposed to StratisNotAuthorizedError)
+   */
+  get http_response_code() {
+    return 403
+  }
+
+  get error_code() {
+    return 'forbidden'
+  }
+}
+
+class StratisConflictError extends StratisRequestError {
+  get http_response_code() {
+    return 409
+  }
+
+  get error_code() {
+    return 'conflict'
+  }
+}
+
+class StratisUnprocessableError extends StratisRequestError {
+  /**
+   * The request is well formed, but its input cannot be processed.
+   */
+  get http_response_code() {
+    return 422
+  }
+
+  get error_code() {
+    return 'unprocessable'
+  }
+}
+
 class StratisNotFoundError extends StratisError {
   get http_response_code() {
     return 404
   }
+
+  get error_code() {
+    return 'not_found'
+  }
 }
 
 class StratisNotAuthorizedError extends StratisError {
   get http_response_code() {
     return 401
   }
+
+  get error_code() {
+    return 'not_authorized'
+  }
 }
 
 class StratisNotAuthorizedReloadError extends StratisNotAuthorizedError {
@@ -63,10 +147,95 @@ class StratisNotAuthorizedReloadError extends StratisNotAuthorizedError {
   }
 }
 
+class StratisMethodNotAllowedError extends StratisNoEmitError {
+  /**
+   * @param {[string]} allowed_methods The allowed http methods (Allow header)
+   * @param  {...any} args The error args.
+   */
+  constructor(allowed_methods, ...args) {
+    super(...args)
+    this.allowed_methods = allowed_methods || []
+  }
+
+  get http_response_code() {
+    return 405
+  }
+
+  get error_code() {
+    return 'method_not_allowed'
+  }
+
+  /**
+   * @param {StratisExpressRequest} req The express request
+   * @param {StratisExpressResponse} res The express response
+   * @param {NextFunction} next The express next function
+   */
+  handle_error(req, res, next) {
+    res.setHeader('Allow', this.allowed_methods.join(', '))
+  }
+}
+
+class StratisValidationError extends StratisNoEmitError {
+  /**
+   * @param {[{path:string, message:string}]} violations The validation violations.
+   * @param {string} message The error message.
+   */
+  constructor(violations, message = 'Invalid arguments') {
+    super(
+      [message]
+        .concat((violations || []).map((v) => `${v.path}: ${v.message}`))
+        .join('\n')
+    )
+    this.violations = violations || []
+  }
+
+  get http_response_code() {
+    return 400
+  }
+
+  get error_code() {
+    return 'validation_error'
+  }
+
+  get details() {
+    return this.violations
+  }
+}
+
 class StratisTimeOutError extends StratisError {
   get http_response_code() {
     return 408
   }
+
+  get error_code() {
+    return 'timeout'
+  }
+}
+
+class StratisCancelledError extends StratisNoEmitError {
+  /**
+   * The call was cancelled by the client (cancel request or disconnect)
+   */
+  get http_response_code() {
+    return 499
+  }
+
+  get error_code() {
+    return 'cancelled'
+  }
+}
+
+class StratisTooManyRequestsError extends StratisNoEmitError {
+  /**
+   * Connection or message rate limits exceeded.
+   */
+  get http_response_code() {
+    return 429
+  }
+
+  get error_code() {
+    return 'too_many_requests'
+  }
 }
 
 class StratisParseError extends StratisNoEmitError {
@@ -75,6 +244,10 @@ class StratisParseError extends StratisNoEmitError {
     this.source = source
   }
 
+  get error_code() {
+    return 'parse_error'
+  }
+
   /**
    * @param {StratisExpressRequest} req The express request
    * @param {StratisExpressResponse} res The express response
@@ -87,7 +260,20 @@ class StratisParseError extends StratisNoEmitError {
   }
 }
 
-class StratisNotImplementedError extends StratisError {}
+class StratisNotImplementedError extends StratisError {
+  get error_code() {
+    return 'not_implemented'
+  }
+}
+
+/**
+ * @param {Error} err
+ * @returns {string} The error code (see StratisError.error_code). Non stratis errors
+ * are internal errors.
+ */
+function get_error_code(err) {
+  return (err != null && err.error_code) || 'internal_error'
+}
 
 /**
  * @param {[Error|string]} errors
@@ -114,12 +300,22 @@ function concat_errors(...errors) {
 
 module.exports = {
   concat_errors,
+  get_error_code,
   StratisError,
   StratisNoEmitError,
+  StratisRequestError,
+  StratisBadRequestError,
+  StratisForbiddenError,
+  StratisConflictError,
+  StratisUnprocessableError,
   StratisNotFoundError,
   StratisTimeOutError,
+  StratisCancelledError,
   StratisNotImplementedError,
   StratisNotAuthorizedError,
   StratisNotAuthorizedReloadError,
+  StratisMethodNotAllowedError,
+  StratisValidationError,
+  StratisTooManyRequestsError,
   StratisParseError,
 }
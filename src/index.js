@@ -1,8 +1,17 @@
 const express = require('express')
 const { Stratis } = require('./webserver/stratis')
 const { StratisRequest } = require('./webserver/requests')
-const { JsonCompatible, StratisApiHandler } = require('./webserver/interfaces')
+const {
+  JsonCompatible,
+  StratisApiHandler,
+  StratisRequestHandler,
+} = require('./webserver/interfaces')
 const { StratisPageCallContext } = require('./webserver/pages')
+const {
+  StratisCodeObject,
+  StratisPushNotification,
+} = require('./webserver/code')
+const { StratisServerSentEvent } = require('./webserver/sse')
 const { StratisCli, create_statis_cli } = require('./cli')
 const {
   StratisOAuth2Provider,
@@ -10,6 +19,18 @@ const {
 } = require('./utils/oauth2')
 const websocket = require('./utils/websocket')
 const { StratisRequestsClient } = require('./utils/requests')
+const { StratisApiClient, StratisApiClientError } = require('./utils/client')
+const {
+  StratisError,
+  StratisBadRequestError,
+  StratisNotAuthorizedError,
+  StratisForbiddenError,
+  StratisNotFoundError,
+  StratisConflictError,
+  StratisUnprocessableError,
+  StratisValidationError,
+  StratisTooManyRequestsError,
+} = require('./errors')
 
 /**
  * @typedef {import('@lamaani/infer').Cli} Cli
@@ -34,6 +55,11 @@ const { StratisRequestsClient } = require('./utils/requests')
  * @typedef {import('./utils/requests').StratisRequestOptions} StratisRequestOptions
  */
 
+/**
+ * @typedef {import('./utils/client').StratisApiClientOptions} StratisApiClientOptions
+ * @typedef {import('./utils/client').StratisApiClientCallOptions} StratisApiClientCallOptions
+ */
+
 /**
  * @typedef {import('./utils/oauth2.js').StratisOAuth2ProviderOptions} StratisOAuth2ProviderOptions
  */
@@ -43,11 +69,26 @@ module.exports = {
   websocket,
   JsonCompatible,
   StratisApiHandler,
+  StratisRequestHandler,
   Stratis,
   StratisCli,
   StratisRequest,
   StratisPageCallContext,
+  StratisCodeObject,
+  StratisPushNotification,
+  StratisServerSentEvent,
   StratisOAuth2Provider,
   StratisRequestsClient,
+  StratisApiClient,
+  StratisApiClientError,
   StratisOAuth2ProviderSession,
+  StratisError,
+  StratisBadRequestError,
+  StratisNotAuthorizedError,
+  StratisForbiddenError,
+  StratisNotFoundError,
+  StratisConflictError,
+  StratisUnprocessableError,
+  StratisValidationError,
+  StratisTooManyRequestsError,
 }
@@ -0,0 +1,363 @@
+const WebSocket = require('ws')
+const { StratisRequestsClient } = require('./requests')
+const { stream_to_buffer } = require('./streams')
+const websocket = require('./websocket')
+const {
+  assert,
+  concat_url_args,
+  create_uuid,
+  with_timeout,
+} = require('../common')
+
+/**
+ * @typedef {'rest'|'websocket'} StratisApiClientTransport
+ */
+
+/**
+ * @typedef {Object} StratisApiClientOptions
+ * @property {string} url The stratis site url (e.g. http://localhost:8080)
+ * @property {string|()=>string|Promise<string>} token The bearer token (or a method that returns
+ * the token) to send to secure pages.
+ * @property {StratisApiClientTransport} transport The default call transport.
+ * @property {number} timeout The call timeout [ms]
+ * @property {Object<string,string>} headers Extra headers to send with each request.
+ * @property {StratisRequestsClient} requests The requests client to use for REST calls.
+ */
+
+/**
+ * @typedef {Object} StratisApiClientCallOptions
+ * @property {string} http_method The REST http method. Defaults to POST.
+ * @property {StratisApiClientTransport} transport Overrides the client default transport.
+ */
+
+class StratisApiClientError extends Error {
+  /**
+   * An error returned by a remote stratis api call.
+   * @param {string} message The error message.
+   * @param {Object} param1
+   * @param {string} param1.code The stable error code (e.g. not_found, validation_error)
+   * @param {number} param1.status The http status code.
+   * @param {any} param1.details The error details, if any.
+   * @param {string} param1.request_id The remote request id (for the remote error logs)
+   * @param {boolean} param1.reload If true, the remote requested a page reload.
+   */
+  constructor(
+    message,
+    {
+      code = null,
+      status = null,
+      details = null,
+      request_id = null,
+      reload = false,
+    } = {}
+  ) {
+    super(message)
+    this.code = code
+    this.status = status
+    this.details = details
+    this.request_id = request_id
+    this.reload = reload
+  }
+
+  /**
+   * @param {import('../webserver/interfaces').StratisErrorObject|string} error The remote
+   * error object (or error text)
+   * @param {Object} param1
+   * @param {string} param1.prefix The message prefix.
+   * @param {number} param1.status The http status code, if not in the error object.
+   * @param {boolean} param1.reload If true, the remote requested a page reload.
+   */
+  static from_error_object(
+    error,
+    { prefix = null, status = null, reload = false } = {}
+  ) {
+    if (error == null || typeof error != 'object')
+      error = { message: `${error}`, status }
+    const message =
+      prefix == null ? error.message : `${prefix}: ${error.message}`
+    return new StratisApiClientError(message, {
+      code: error.code || null,
+      status: error.status || status,
+      details: error.details == null ? null : error.details,
+      request_id: error.request_id || null,
+      reload,
+    })
+  }
+}
+
+class StratisApiClient {
+  /**
+   * A node client for calling stratis page apis over REST or websocket.
+   * @param {StratisApiClientOptions} param0
+   */
+  constructor({
+    url,
+    token = null,
+    transport = 'rest',
+    timeout = 1000 * 60,
+    headers = {},
+    requests = null,
+  } = {}) {
+    assert(typeof url == 'string' || url instanceof URL, 'url must be defined')
+    assert(
+      transport == 'rest' || transport == 'websocket',
+      'transport must be either rest or websocket'
+    )
+
+    this.url = new URL(url)
+    this.token = token
+    this.transport = transport
+    this.timeout = timeout
+    this.headers = headers || {}
+    this.requests = requests || new StratisRequestsClient({ timeout })
+
+    /** @type {Object<string, Promise<WebSocket>>} */
+    this._websockets = {}
+    /** @type {Object<string, {resolve:(v:any)=>void, reject:(err:Error)=>void}>} */
+    this._pending = {}
+  }
+
+  /**
+   * @returns {string} The current bearer token (null if none)
+   */
+  async get_token() {
+    if (typeof this.token == 'function') return await this.token()
+    return this.token
+  }
+
+  /**
+   * @returns {Object<string,string>} The request headers (including authorization)
+   */
+  async get_headers() {
+    const headers = Object.assign({}, this.headers)
+    const token = await this.get_token()
+    if (token != null) headers['Authorization'] = `Bearer ${token}`
+    return headers
+  }
+
+  /**
+   * @param {string} query_path The page query path (relative to the site url)
+   * @param {string} name The api method name, if any.
+   * @param {'http'|'ws'} protocol The url protocol.
+   */
+  compose_url(query_path, name = null, protocol = 'http') {
+    const url = new URL(
+      [query_path, name]
+        .filter((p) => p != null)
+        .join('/')
+        .replace(/^\/+/, ''),
+      this.url.href.endsWith('/') ? this.url.href : this.url.href + '/'
+    )
+    if (protocol == 'ws')
+      url.protocol = url.protocol == 'https:' ? 'wss:' : 'ws:'
+    return url
+  }
+
+  /**
+   * Call a remote page api method.
+   * @param {string} query_path The page query path (relative to the site url)
+   * @param {string} name The api method name.
+   * @param {Object} args The method args.
+   * @param {StratisApiClientCallOptions} options
+   */
+  async call(query_path, name, args = {}, options = {}) {
+    const transport = options.transport || this.transport
+    switch (transport) {
+      case 'rest':
+        return await this.call_rest(query_path, name, args, options)
+      case 'websocket':
+        return await this.call_websocket(query_path, name, args)
+      default:
+        throw new Error('Unknown stratis api client transport: ' + transport)
+    }
+  }
+
+  /**
+   * Call a remote page api method over http(s).
+   * @param {string} query_path The page query path (relative to the site url)
+   * @param {string} name The api method name.
+   * @param {Object} args The method args.
+   * @param {StratisApiClientCallOptions} options
+   * @returns {any|string|Buffer} The call result. Json responses are parsed, binary
+   * (application/octet-stream) responses are returned as a Buffer, any other as a string.
+   */
+  async call_rest(query_path, name, args = {}, { http_method = 'POST' } = {}) {
+    http_method = http_method.toUpperCase()
+    const has_body = !['GET', 'HEAD', 'DELETE'].includes(http_method)
+    let url = this.compose_url(query_path, name).href
+
+    if (!has_body)
+      url = concat_url_args(
+        url,
+        Object.fromEntries(
+          Object.entries(args || {}).map(([key, val]) => [
+            key,
+            val != null && typeof val == 'object' ? JSON.stringify(val) : val,
+          ])
+        )
+      )
+
+    const response = await this.requests.request(url, {
+      method: http_method,
+      payload: has_body ? args || {} : null,
+      headers: await this.get_headers(),
+    })
+
+    const content_type = response.headers['content-type'] || ''
+    const body_buffer = await stream_to_buffer(response)
+    const body = body_buffer.toString('utf-8')
+
+    if (response.statusCode >= 400) {
+      let error = body
+      if (/\bjson\b/.test(content_type))
+        try {
+          error = JSON.parse(body).error
+        } catch (err) {}
+      throw StratisApiClientError.from_error_object(error, {
+        prefix: `${query_path}/${name} (${response.statusCode})`,
+        status: response.statusCode,
+      })
+    }
+
+    if (body_buffer.length == 0) return null
+    if (/\bjson\b/.test(content_type)) return JSON.parse(body)
+    if (/\boctet-stream\b/.test(content_type)) return body_buffer
+    return body
+  }
+
+  /**
+   * @param {string} query_path The page query path.
+   * @returns {Promise<WebSocket>} The open page websocket.
+   */
+  async _get_websocket(query_path) {
+    if (this._websockets[query_path] == null)
+      this._websockets[query_path] = (async () => {
+        const ws = new WebSocket(this.compose_url(query_path, null, 'ws'), {
+          headers: await this.get_headers(),
+        })
+
+        ws.on('message', (data, is_binary) =>
+          this._on_websocket_message(ws, data, is_binary)
+        )
+        ws.on('close', () => {
+          delete this._websockets[query_path]
+        })
+        // errors are followed by close, which rejects the pending calls.
+        ws.on('error', () => {})
+
+        await new Promise((resolve, reject) => {
+          ws.once('open', resolve)
+          ws.once('error', reject)
+        })
+
+        return ws
+      })().catch((err) => {
+        delete this._websockets[query_path]
+        throw err
+      })
+
+    return await this._websockets[query_path]
+  }
+
+  /**
+   * @param {WebSocket} ws The page websocket.
+   * @param {Buffer} data The message data.
+   * @param {boolean} is_binary True if a binary frame.
+   */
+  _on_websocket_message(ws, data, is_binary = false) {
+    if (is_binary) {
+      // binary result payload, after its {rid, binary: true} header frame.
+      let frame = null
+      try {
+        frame = websocket.decode_binary_frame(data)
+      } catch (err) {
+        return
+      }
+      const pending = this._pending[frame.rid]
+      if (pending == null || !pending.binary) return
+      delete this._pending[frame.rid]
+      return pending.resolve(Buffer.from(frame.payload))
+    }
+
+    let msg = null
+    try {
+      msg = JSON.parse(data.toString('utf-8'))
+    } catch (err) {
+      return
+    }
+
+    const pending = msg == null ? null : this._pending[msg.rid]
+    if (pending == null) return
+
+    if (msg.binary === true && msg.error == null) {
+      // wait for the binary frame.
+      pending.binary = true
+      return
+    }
+
+    delete this._pending[msg.rid]
+
+    if (msg.error != null)
+      pending.reject(
+        StratisApiClientError.from_error_object(msg.error, {
+          reload: msg.reload === true,
+        })
+      )
+    else if (msg.stream === true) {
+      // stop the server stream, the chunks would be ignored.
+      ws.send(JSON.stringify({ rid: msg.rid, cancel: true }))
+      pending.reject(
+        new StratisApiClientError(
+          'Streamed results are not supported over the websocket transport, use the rest transport'
+        )
+      )
+    } else pending.resolve(msg.response)
+  }
+
+  /**
+   * Call a remote page api method over a (shared, per page) websocket.
+   * @param {string} query_path The page query path (relative to the site url)
+   * @param {string} name The api method name.
+   * @param {Object} args The method args.
+   */
+  async call_websocket(query_path, name, args = {}) {
+    const ws = await this._get_websocket(query_path)
+    const rid = create_uuid()
+
+    const on_close = () =>
+      this._pending[rid] &&
+      this._pending[rid].reject(
+        new StratisApiClientError(`Websocket closed (${query_path}/${name})`)
+      )
+    ws.once('close', on_close)
+
+    try {
+      return await with_timeout(
+        () =>
+          new Promise((resolve, reject) => {
+            this._pending[rid] = { resolve, reject }
+            ws.send(JSON.stringify({ rid, name, args: args || {} }))
+          }),
+        this.timeout,
+        new StratisApiClientError(`Call timed out (${query_path}/${name})`)
+      )
+    } finally {
+      delete this._pending[rid]
+      ws.off('close', on_close)
+    }
+  }
+
+  /**
+   * Close all open websockets.
+   */
+  close() {
+    for (let ws_promise of Object.values(this._websockets))
+      ws_promise.then((ws) => ws.close()).catch(() => {})
+    this._websockets = {}
+  }
+}
+
+module.exports = {
+  StratisApiClient,
+  StratisApiClientError,
+}
@@ -5,6 +5,7 @@
  * if zero or less invokes on every get call.
  * @property {bool} reset_cache_timestamp_on_get If true, when call call to get is made then
  * will reset the item cache stamp. Extends the cache keep time.
+ * @property {(key:any, value:any)=>void} on_delete Called when an item is deleted or expired.
  */
 
 class CachedDictionaryItem {
@@ -36,10 +37,12 @@ class CacheDictionary {
     interval = 10000,
     cleaning_interval = 60000,
     reset_cache_timestamp_on_get = true,
+    on_delete = null,
   } = {}) {
     this.interval = interval
     this.cleaning_interval = cleaning_interval
     this.reset_cache_timestamp_on_get = reset_cache_timestamp_on_get
+    this.on_delete = on_delete
 
     /**
      * @type {Object<any, CachedDictionaryItem>}
@@ -91,7 +94,10 @@ class CacheDictionary {
    * @param {any} key
    */
   delete(key) {
+    const item = this._get_item(key)
+    if (item == null) return
     delete this._dict[key]
+    if (this.on_delete != null) this.on_delete(item.key, item.value)
   }
 
   clean_cache() {
@@ -107,7 +113,7 @@ class CacheDictionary {
     for (let key of Object.keys(this._dict)) {
       const item = this._get_item(key)
       if (item == null) continue
-      if (item.elapsed > this.interval) delete this._dict[key]
+      if (item.elapsed > this.interval) this.delete(key)
     }
   }
 }
@@ -49,6 +49,7 @@ function get_stream_content_type(encoding) {
  * @property {boolean} use_pretty_json If true, and the payload is converted to json, use pretty format.
  * @property {string} custom_error_message If not null, added at the beginning of the error message.
  * @property {boolean} follow_redirects If true, then follow redirect requests.
+ * @property {AbortSignal} signal Aborts the request. Defaults to the client signal.
  *
  * @typedef {http.RequestOptions & https.RequestOptions & StratisRequestOptionsExtension} StratisRequestOptions
  */
@@ -58,6 +59,7 @@ function get_stream_content_type(encoding) {
  * @property {boolean} use_proxies If true, check for proxies and use them (proxy-agent package)
  * @property {number} timeout The timeout for requests.
  * @property {boolean} follow_redirects If true, follow http redirects.
+ * @property {AbortSignal} signal The default abort signal for all requests.
  */
 
 class StratisRequestsClient {
@@ -68,10 +70,26 @@ class StratisRequestsClient {
     use_proxies = true,
     timeout = 1000 * 10,
     follow_redirects = true,
+    signal = null,
   } = {}) {
     this.use_proxies = use_proxies
     this.timeout = timeout || 1000 * 10 // default 5 mins.
     this.follow_redirects = follow_redirects
+    this.signal = signal
+  }
+
+  /**
+   * @param {AbortSignal} signal The abort signal.
+   * @returns {StratisRequestsClient} A copy of this client, where all requests are aborted
+   * with the signal.
+   */
+  with_signal(signal) {
+    return new StratisRequestsClient({
+      use_proxies: this.use_proxies,
+      timeout: this.timeout,
+      follow_redirects: this.follow_redirects,
+      signal,
+    })
   }
 
   /**
@@ -245,6 +263,7 @@ class StratisRequestsClient {
         protocol: url.protocol,
         timeout: this.timeout,
         follow_redirects: this.follow_redirects,
+        signal: this.signal || undefined,
       },
       options,
       {
@@ -0,0 +1,232 @@
+const { assert } = require('../common')
+
+/**
+ * A json schema (subset) to validate and coerce values with.
+ * @typedef {Object} StratisSchema
+ * @property {string|[string]} type The value type(s). One of: string, number, integer, boolean, array, object, binary, null
+ * @property {string} description The value description.
+ * @property {any} default The default value, if the value is undefined.
+ * @property {[any]} enum The allowed values.
+ * @property {number} minimum Number minimum.
+ * @property {number} maximum Number maximum.
+ * @property {number} minLength String min length.
+ * @property {number} maxLength String max length.
+ * @property {string} pattern String regex pattern.
+ * @property {StratisSchema} items Array items schema.
+ * @property {number} minItems Array min items.
+ * @property {number} maxItems Array max items.
+ * @property {Object<string,StratisSchema>} properties Object properties schemas.
+ * @property {[string]} required Object required properties.
+ * @property {boolean} additionalProperties If false, object properties not in properties are not allowed.
+ */
+
+/**
+ * @typedef {Object} StratisSchemaViolation
+ * @property {string} path The value path, e.g. args.items[0]
+ * @property {string} message The violation message.
+ */
+
+const SCHEMA_TYPE_CHECKS = {
+  string: (v) => typeof v == 'string',
+  number: (v) => typeof v == 'number' && !isNaN(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v == 'boolean',
+  array: (v) => Array.isArray(v),
+  object: (v) =>
+    v != null &&
+    typeof v == 'object' &&
+    !Array.isArray(v) &&
+    !(v instanceof Uint8Array),
+  binary: (v) => v instanceof Uint8Array,
+  null: (v) => v === null,
+}
+
+/**
+ * Try and convert a value (usually a query string) to the schema type.
+ * @param {any} value The value to convert
+ * @param {string} type The schema type
+ * @returns {any} The converted value, or the original value if cannot be converted.
+ */
+function coerce_schema_value(value, type) {
+  switch (type) {
+    case 'number':
+    case 'integer':
+      if (typeof value == 'string' && value.trim().length > 0) {
+        const num = Number(value)
+        if (!isNaN(num)) return num
+      }
+      break
+    case 'boolean':
+      if (value === 'true' || value === '1' || value === 1) return true
+      if (value === 'false' || value === '0' || value === 0) return false
+      break
+    case 'string':
+      if (typeof value == 'number' || typeof value == 'boolean')
+        return `${value}`
+      break
+    case 'array':
+      if (typeof value == 'string') {
+        if (/^\s*\[/.test(value))
+          try {
+            return JSON.parse(value)
+          } catch (err) {
+            return value
+          }
+        return value.length == 0 ? [] : value.split(',')
+      }
+      if (value != null && !Array.isArray(value)) return [value]
+      break
+    case 'object':
+      if (typeof value == 'string' && /^\s*\{/.test(value))
+        try {
+          return JSON.parse(value)
+        } catch (err) {
+          return value
+        }
+      break
+    case 'null':
+      if (value === '' || value === 'null') return null
+      break
+  }
+  return value
+}
+
+function clone_default_value(value) {
+  if (value == null || typeof value != 'object') return value
+  return JSON.parse(JSON.stringify(value))
+}
+
+/**
+ * @param {any} value The value to validate.
+ * @param {StratisSchema} schema The schema
+ * @param {string} path The value path
+ * @param {[StratisSchemaViolation]} violations The violations collection (appended to)
+ * @returns {any} The coerced value.
+ */
+function validate_schema_value(value, schema, path, violations) {
+  if (schema == null) return value
+
+  if (schema.type != null) {
+    const types = [].concat(schema.type)
+    for (let type of types)
+      assert(
+        type in SCHEMA_TYPE_CHECKS,
+        `Unknown schema type ${type} @ ${path}`
+      )
+
+    let matched = types.find((t) => SCHEMA_TYPE_CHECKS[t](value))
+    if (matched == null)
+      for (let type of types) {
+        const coerced = coerce_schema_value(value, type)
+        if (SCHEMA_TYPE_CHECKS[type](coerced)) {
+          value = coerced
+          matched = type
+          break
+        }
+      }
+
+    if (matched == null) {
+      violations.push({ path, message: `Expected ${types.join(' or ')}` })
+      return value
+    }
+  }
+
+  if (schema.enum != null && !schema.enum.some((e) => e === value))
+    violations.push({
+      path,
+      message: `Expected one of ${JSON.stringify(schema.enum)}`,
+    })
+
+  if (typeof value == 'number') {
+    if (schema.minimum != null && value < schema.minimum)
+      violations.push({ path, message: `Must be >= ${schema.minimum}` })
+    if (schema.maximum != null && value > schema.maximum)
+      violations.push({ path, message: `Must be <= ${schema.maximum}` })
+  }
+
+  if (typeof value == 'string') {
+    if (schema.minLength != null && value.length < schema.minLength)
+      violations.push({
+        path,
+        message: `Length must be >= ${schema.minLength}`,
+      })
+    if (schema.maxLength != null && value.length > schema.maxLength)
+      violations.push({
+        path,
+        message: `Length must be <= ${schema.maxLength}`,
+      })
+    if (schema.pattern != null && !new RegExp(schema.pattern).test(value))
+      violations.push({ path, message: `Must match ${schema.pattern}` })
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems)
+      violations.push({
+        path,
+        message: `Must have >= ${schema.minItems} items`,
+      })
+    if (schema.maxItems != null && value.length > schema.maxItems)
+      violations.push({
+        path,
+        message: `Must have <= ${schema.maxItems} items`,
+      })
+    if (schema.items != null)
+      value = value.map((item, idx) =>
+        validate_schema_value(item, schema.items, `${path}[${idx}]`, violations)
+      )
+  }
+
+  if (SCHEMA_TYPE_CHECKS.object(value)) {
+    const properties = schema.properties || {}
+    value = Object.assign({}, value)
+
+    for (let [key, property_schema] of Object.entries(properties)) {
+      if (value[key] === undefined && property_schema.default !== undefined)
+        value[key] = clone_default_value(property_schema.default)
+      if (value[key] === undefined) continue
+      value[key] = validate_schema_value(
+        value[key],
+        property_schema,
+        `${path}.${key}`,
+        violations
+      )
+    }
+
+    for (let key of schema.required || [])
+      if (value[key] === undefined)
+        violations.push({ path: `${path}.${key}`, message: 'Is required' })
+
+    if (schema.additionalProperties === false)
+      for (let key of Object.keys(value))
+        if (!(key in properties))
+          violations.push({
+            path: `${path}.${key}`,
+            message: 'Is not allowed',
+          })
+  }
+
+  return value
+}
+
+/**
+ * Validates and coerces a value given a json schema (subset). Query string values
+ * are converted to the schema type (numbers, booleans, arrays) and missing values are
+ * replaced with defaults.
+ * @param {any} value The value to validate
+ * @param {StratisSchema} schema The schema
+ * @param {string} path The root value path (used in violation messages)
+ * @returns {{value: any, violations: [StratisSchemaViolation]}} The coerced value and the
+ * list of violations. Empty if valid.
+ */
+function validate_schema(value, schema, path = 'args') {
+  const violations = []
+  value = validate_schema_value(value, schema, path, violations)
+  return { value, violations }
+}
+
+module.exports = {
+  validate_schema,
+  coerce_schema_value,
+  /** @type {StratisSchema} */
+  StratisSchema: {},
+}
@@ -0,0 +1,150 @@
+const { assert } = require('../common')
+const { validate_schema, coerce_schema_value } = require('./schema')
+
+/**
+ * Assert two values are json equal.
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assert_json_equal(actual, expected, message) {
+  assert(
+    JSON.stringify(actual) == JSON.stringify(expected),
+    `${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(
+      actual
+    )}`
+  )
+}
+
+function test_query_string_values_are_coerced() {
+  assert_json_equal(coerce_schema_value('42', 'integer'), 42, 'integer')
+  assert_json_equal(coerce_schema_value('4.5', 'number'), 4.5, 'number')
+  assert_json_equal(coerce_schema_value('true', 'boolean'), true, 'boolean')
+  assert_json_equal(coerce_schema_value('0', 'boolean'), false, 'boolean 0')
+  assert_json_equal(coerce_schema_value(7, 'string'), '7', 'string')
+  assert_json_equal(coerce_schema_value('a,b', 'array'), ['a', 'b'], 'csv')
+  assert_json_equal(coerce_schema_value('[1,2]', 'array'), [1, 2], 'json')
+  assert_json_equal(coerce_schema_value('', 'array'), [], 'empty array')
+  assert_json_equal(coerce_schema_value('x', 'array'), ['x'], 'single')
+  assert_json_equal(coerce_schema_value('{"a":1}', 'object'), { a: 1 }, 'obj')
+  assert_json_equal(coerce_schema_value('null', 'null'), null, 'null')
+
+  // values that cannot be converted are returned as is.
+  assert_json_equal(coerce_schema_value('', 'number'), '', 'empty number')
+  assert_json_equal(coerce_schema_value('abc', 'number'), 'abc', 'NaN')
+  assert_json_equal(coerce_schema_value('yes', 'boolean'), 'yes', 'yes')
+  assert_json_equal(coerce_schema_value('[1,', 'array'), '[1,', 'bad json')
+
+  const { value, violations } = validate_schema(
+    { count: '3', tags: 'a,b', flags: { on: 'true' } },
+    {
+      type: 'object',
+      properties: {
+        count: { type: 'integer' },
+        tags: { type: 'array', items: { type: 'string' } },
+        flags: { type: 'object', properties: { on: { type: 'boolean' } } },
+      },
+    }
+  )
+  assert_json_equal(violations, [], 'nested violations')
+  assert_json_equal(
+    value,
+    { count: 3, tags: ['a', 'b'], flags: { on: true } },
+    'nested value'
+  )
+}
+
+function test_defaults_are_applied_and_cloned() {
+  const schema = {
+    type: 'object',
+    properties: { items: { type: 'array', default: [] } },
+  }
+  const first = validate_schema({}, schema).value
+  first.items.push(1)
+  const second = validate_schema({}, schema).value
+  assert_json_equal(second.items, [], 'default value shared between calls')
+}
+
+function test_invalid_values_are_rejected() {
+  const { violations } = validate_schema(
+    {
+      count: 'abc',
+      ratio: 5,
+      name: 'a',
+      code: 'x1',
+      color: 'blue',
+      items: [1, 'two'],
+      extra: true,
+    },
+    {
+      type: 'object',
+      properties: {
+        count: { type: 'integer' },
+        ratio: { type: 'number', maximum: 1 },
+        name: { type: 'string', minLength: 2 },
+        code: { type: 'string', pattern: '^[a-z]+$' },
+        color: { enum: ['red', 'green'] },
+        items: { type: 'array', items: { type: 'number' }, maxItems: 1 },
+        id: { type: 'string' },
+      },
+      required: ['id'],
+      additionalProperties: false,
+    }
+  )
+
+  assert_json_equal(
+    violations.map((v) => v.path).sort(),
+    [
+      'args.code',
+      'args.color',
+      'args.count',
+      'args.extra',
+      'args.id',
+      'args.items',
+      'args.items[1]',
+      'args.name',
+      'args.ratio',
+    ],
+    'violation paths'
+  )
+
+  assert_json_equal(
+    validate_schema(1.5, { type: 'integer' }).violations,
+    [{ path: 'args', message: 'Expected integer' }],
+    'integer violation'
+  )
+
+  let unknown_type_error = null
+  try {
+    validate_schema(1, { type: 'decimal' })
+  } catch (err) {
+    unknown_type_error = err
+  }
+  assert(unknown_type_error != null, 'Unknown schema type was not rejected')
+}
+
+function test_multiple_types() {
+  const schema = { type: ['integer', 'null'] }
+  assert_json_equal(validate_schema('5', schema).value, 5, 'integer or null')
+  assert_json_equal(validate_schema(null, schema).value, null, 'null')
+  assert_json_equal(validate_schema('', schema).value, null, 'empty is null')
+  assert(
+    validate_schema('x', schema).violations.length == 1,
+    'Expected a violation for a non integer or null value'
+  )
+}
+
+function main() {
+  test_query_string_values_are_coerced()
+  test_defaults_are_applied_and_cloned()
+  test_invalid_values_are_rejected()
+  test_multiple_types()
+  console.log('OK')
+}
+
+try {
+  main()
+} catch (err) {
+  console.error(err)
+  process.exit(1)
+}
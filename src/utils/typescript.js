@@ -0,0 +1,152 @@
+/**
+ * @typedef {import('./schema').StratisSchema} StratisSchema
+ */
+
+const TYPESCRIPT_IDENTIFIER_REGEX = /^[A-Za-z_$][\w$]*$/
+
+const SCHEMA_TYPESCRIPT_TYPES = {
+  string: 'string',
+  number: 'number',
+  integer: 'number',
+  boolean: 'boolean',
+  binary: 'Blob | ArrayBuffer | ArrayBufferView',
+  null: 'null',
+}
+
+/**
+ * @param {string} name
+ * @returns {string} The name as a valid (snake case) identifier, e.g. secure/api.html -> secure_api_html
+ */
+function to_typescript_identifier(name) {
+  const identifier = `${name}`.replace(/[^\w$]+/g, '_').replace(/^_+|_+$/g, '')
+  return /^[0-9]/.test(identifier) || identifier.length == 0
+    ? `_${identifier}`
+    : identifier
+}
+
+/**
+ * @param {string} name
+ * @returns {string} The name as a pascal case type name, e.g. secure/api.html -> SecureApiHtml
+ */
+function to_typescript_type_name(name) {
+  return to_typescript_identifier(name)
+    .split('_')
+    .filter((p) => p.length > 0)
+    .map((p) => p[0].toUpperCase() + p.substring(1))
+    .join('')
+}
+
+/**
+ * @param {string} key
+ * @returns {string} The key as an object property key (quoted if needed)
+ */
+function to_typescript_property_key(key) {
+  return TYPESCRIPT_IDENTIFIER_REGEX.test(key) ? key : JSON.stringify(key)
+}
+
+/**
+ * @param {string} text The comment text.
+ * @param {string} indent The comment indent.
+ * @returns {string} A doc comment (with trailing newline), or empty string if no text.
+ */
+function to_doc_comment(text, indent = '') {
+  if (text == null || `${text}`.trim().length == 0) return ''
+  const lines = `${text}`
+    .trim()
+    .replace(/\*\//g, '*\\/')
+    .split('\n')
+    .map((l) => l.trim())
+  if (lines.length == 1) return `${indent}/** ${lines[0]} */\n`
+  return [
+    `${indent}/**`,
+    ...lines.map((l) => `${indent} * ${l}`.trimEnd()),
+    `${indent} */`,
+    '',
+  ].join('\n')
+}
+
+/**
+ * @param {StratisSchema} schema
+ * @param {string} indent
+ */
+function to_typescript_object_type(schema, indent) {
+  const properties = Object.entries(schema.properties || {})
+  const required = new Set(schema.required || [])
+  const inner_indent = indent + '  '
+
+  const members = properties.map(
+    ([key, property_schema]) =>
+      to_doc_comment(property_schema.description, inner_indent) +
+      `${inner_indent}${to_typescript_property_key(key)}${
+        required.has(key) ? '' : '?'
+      }: ${to_typescript_type(property_schema, inner_indent)}`
+  )
+
+  if (schema.additionalProperties !== false)
+    members.push(`${inner_indent}[key: string]: any`)
+
+  if (properties.length == 0)
+    return schema.additionalProperties === false ? '{}' : 'Record<string, any>'
+
+  return `{\n${members.join('\n')}\n${indent}}`
+}
+
+/**
+ * Converts a stratis schema to a typescript type expression.
+ * @param {StratisSchema} schema The schema.
+ * @param {string} indent The current indent (for multiline object types)
+ * @returns {string} The typescript type.
+ */
+function to_typescript_type(schema, indent = '') {
+  if (schema == null || typeof schema != 'object') return 'any'
+
+  if (schema.enum != null)
+    return schema.enum.map((v) => JSON.stringify(v)).join(' | ')
+
+  if (schema.type == null) return 'any'
+
+  const types = [].concat(schema.type).map((type) => {
+    switch (type) {
+      case 'array':
+        return `Array<${to_typescript_type(schema.items, indent)}>`
+      case 'object':
+        return to_typescript_object_type(schema, indent)
+      default:
+        return SCHEMA_TYPESCRIPT_TYPES[type] || 'any'
+    }
+  })
+
+  return Array.from(new Set(types)).join(' | ')
+}
+
+/**
+ * Converts a jsdoc type expression to a typescript type expression. Handles
+ * the jsdoc only forms, e.g. *, [string] (array), Object<K,V> and Object.
+ * @param {string} type The jsdoc type expression.
+ * @returns {string} The typescript type.
+ */
+function jsdoc_type_to_typescript(type) {
+  if (type == null || type.trim().length == 0) return 'any'
+  type = type.trim()
+  if (type == '*') return 'any'
+
+  let prev = null
+  while (prev != type) {
+    prev = type
+    type = type.replace(/\[([^\[\],]+)\]/g, 'Array<$1>')
+  }
+
+  return type
+    .replace(/(^|[^\w$])\*(?=$|[^\w$])/g, '$1any')
+    .replace(/\bObject\s*<\s*([^,<>]+?)\s*,\s*/g, 'Record<$1, ')
+    .replace(/\bObject\b(?!\s*<)/g, 'Record<string, any>')
+}
+
+module.exports = {
+  to_doc_comment,
+  jsdoc_type_to_typescript,
+  to_typescript_type,
+  to_typescript_identifier,
+  to_typescript_type_name,
+  to_typescript_property_key,
+}
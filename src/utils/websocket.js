@@ -1,5 +1,8 @@
 const ws = require('ws')
+const http = require('http')
+const net = require('net')
 const { Request, Response, NextFunction } = require('express/index')
+const { assert } = require('../common')
 
 /**
  * Check if this request is a websocket request
@@ -15,6 +18,177 @@ function is_websocket_request(req) {
   return false
 }
 
+const UPGRADE_HEAD = Symbol('websocket_upgrade_head')
+
+class StratisWebSocketServer {
+  /**
+   * A shared websocket server. Attach to http/https servers to handle their upgrade
+   * requests with a request listener (e.g. an express app), which routes the request
+   * (by path) and calls handle_upgrade to accept it.
+   * @param {{
+   * handleProtocols: any,
+   * perMessageDeflate: ws.PerMessageDeflateOptions,
+   * maxPayload:number,
+   * }} param0 The ws.Server options.
+   */
+  constructor({
+    handleProtocols = null,
+    perMessageDeflate = null,
+    maxPayload = null,
+  } = {}) {
+    this.server = new ws.Server({
+      noServer: true,
+      clientTracking: true,
+      handleProtocols,
+      perMessageDeflate,
+      maxPayload,
+    })
+
+    /**
+     * The attached servers and their upgrade listeners.
+     * @type {Map<http.Server, (req:Request, socket:net.Socket, head:Buffer)=>{}>}
+     */
+    this._attached = new Map()
+
+    /**
+     * The upgrade sockets that were not yet upgraded (or rejected).
+     * @type {Set<net.Socket>}
+     */
+    this._pending_sockets = new Set()
+
+    this._closing = false
+  }
+
+  /**
+   * The open websockets.
+   * @type {Set<ws>}
+   */
+  get clients() {
+    return this.server.clients
+  }
+
+  /**
+   * The number of open websockets.
+   */
+  get size() {
+    return this.server.clients.size
+  }
+
+  /**
+   * The number of upgrade requests that are being processed.
+   */
+  get pending() {
+    return this._pending_sockets.size
+  }
+
+  get closing() {
+    return this._closing
+  }
+
+  /**
+   * Handle the server upgrade requests with a request listener (e.g. an express app).
+   * Upgrade requests that are not accepted (handle_upgrade) are answered by the
+   * request listener, e.g. 404.
+   * @param {http.Server} server The http/https server.
+   * @param {(req:Request,res:Response)=>{}} request_listener The request listener.
+   */
+  attach(server, request_listener) {
+    assert(!this._closing, 'Cannot attach a closing websocket server')
+    if (this._attached.has(server)) return
+
+    const on_upgrade = (req, socket, head) => {
+      if (this._closing) return socket.destroy()
+
+      this._pending_sockets.add(socket)
+      socket.once('close', () => this._pending_sockets.delete(socket))
+
+      req[UPGRADE_HEAD] = head
+      const res = new http.ServerResponse(req)
+      res.assignSocket(socket)
+      // not upgraded (rejected), the socket cannot be reused.
+      res.once('finish', () => socket.destroy())
+
+      request_listener(req, res)
+    }
+
+    server.on('upgrade', on_upgrade)
+    this._attached.set(server, on_upgrade)
+  }
+
+  /**
+   * @param {http.Server} server The http/https server.
+   */
+  detach(server) {
+    const on_upgrade = this._attached.get(server)
+    if (on_upgrade == null) return
+    server.off('upgrade', on_upgrade)
+    this._attached.delete(server)
+  }
+
+  /**
+   * Accept a websocket (upgrade) request.
+   * @param {Request} req The upgrade request.
+   * @param {(ws:ws, req:Request)=>{}} handler The websocket handler.
+   */
+  handle_upgrade(req, handler) {
+    const socket = req.socket
+    if (this._closing) return socket.destroy()
+
+    this.server.handleUpgrade(
+      req,
+      socket,
+      req[UPGRADE_HEAD] || Buffer.alloc(0),
+      (websocket) => {
+        this._pending_sockets.delete(socket)
+        this.server.emit('connection', websocket, req)
+        handler(websocket, req)
+      }
+    )
+  }
+
+  /**
+   * Detach from all servers and close all websockets. Websockets that did not close
+   * within the timeout are terminated.
+   * @param {Object} param0
+   * @param {number} param0.code The websocket close code.
+   * @param {string} param0.reason The websocket close reason.
+   * @param {number} param0.timeout The max time to wait for the websockets to close [ms]
+   */
+  async close({
+    code = 1001,
+    reason = 'Server shutting down',
+    timeout = 1000 * 5,
+  } = {}) {
+    this._closing = true
+    for (let server of Array.from(this._attached.keys())) this.detach(server)
+
+    for (let socket of this._pending_sockets) socket.destroy()
+    this._pending_sockets.clear()
+
+    const clients = Array.from(this.server.clients)
+    const closed = clients.map(
+      (websocket) =>
+        new Promise((resolve) => {
+          if (websocket.readyState == ws.CLOSED) return resolve()
+          websocket.once('close', resolve)
+          websocket.close(code, reason)
+        })
+    )
+
+    let timeout_id = null
+    await Promise.race([
+      Promise.all(closed),
+      new Promise((resolve) => (timeout_id = setTimeout(resolve, timeout))),
+    ])
+    clearTimeout(timeout_id)
+
+    for (let websocket of clients)
+      if (websocket.readyState != ws.CLOSED) websocket.terminate()
+
+    await new Promise((resolve) => this.server.close(() => resolve()))
+  }
+}
+
 /**
  * Creates a websocket middleware that catches websocket requests
  * @param {(ws:ws, req:Request)=>{}} handler The websocket handler
@@ -24,7 +198,8 @@ function is_websocket_request(req) {
  * maxPayload:number,
  * before_upgrade: (req:Request, server: ws.Server) => {}
  * error_if_not_websocket: boolean,
- * }} param1 options
+ * websocket_server: StratisWebSocketServer,
+ * }} param1 options. If websocket_server is provided, the ws.Server options are ignored.
  * @returns {(req:Request,res:Response,next:NextFunction)=>{}} Middleware
  */
 function create_express_websocket_middleware(
@@ -35,14 +210,16 @@ function create_express_websocket_middleware(
     maxPayload = null,
     before_upgrade = null,
     error_if_not_websocket = false,
+    websocket_server = null,
   } = {}
 ) {
-  const server = new ws.Server({
-    noServer: true,
-    handleProtocols,
-    perMessageDeflate,
-    maxPayload,
-  })
+  websocket_server =
+    websocket_server ||
+    new StratisWebSocketServer({
+      handleProtocols,
+      perMessageDeflate,
+      maxPayload,
+    })
 
   /**
    * @param {Request} req
@@ -56,14 +233,46 @@ function create_express_websocket_middleware(
       return next()
     }
 
-    if (before_upgrade) before_upgrade(req, server)
+    if (before_upgrade) before_upgrade(req, websocket_server.server)
 
-    server.handleUpgrade(req, req.socket, Buffer.from(''), handler)
+    websocket_server.handle_upgrade(req, handler)
   }
 
   return middleware
 }
 
+/**
+ * Encodes a binary websocket frame that is paired to a request id,
+ * [rid length (uint8)][rid (utf-8)][payload]
+ * @param {string} rid The request id.
+ * @param {Buffer|Uint8Array} payload The binary payload.
+ * @returns {Buffer} The frame.
+ */
+function encode_binary_frame(rid, payload) {
+  const rid_bytes = Buffer.from(`${rid}`, 'utf-8')
+  assert(rid_bytes.length < 256, 'Binary frame request id is too long')
+  return Buffer.concat([Buffer.from([rid_bytes.length]), rid_bytes, payload])
+}
+
+/**
+ * Decodes a binary websocket frame (see encode_binary_frame)
+ * @param {Buffer} frame The frame.
+ * @returns {{rid:string, payload:Buffer}}
+ */
+function decode_binary_frame(frame) {
+  assert(frame.length > 0, 'Invalid (empty) binary frame')
+  const rid_length = frame[0]
+  assert(frame.length > rid_length, 'Invalid binary frame request id')
+  return {
+    rid: frame.subarray(1, rid_length + 1).toString('utf-8'),
+    payload: frame.subarray(rid_length + 1),
+  }
+}
+
 create_express_websocket_middleware.is_websocket_request = is_websocket_request
+create_express_websocket_middleware.encode_binary_frame = encode_binary_frame
+create_express_websocket_middleware.decode_binary_frame = decode_binary_frame
+create_express_websocket_middleware.StratisWebSocketServer =
+  StratisWebSocketServer
 
 module.exports = create_express_websocket_middleware
@@ -0,0 +1,143 @@
+const http = require('http')
+const ws = require('ws')
+const express = require('express')
+const { assert } = require('../common')
+const websocket = require('./websocket')
+
+function test_binary_frame_round_trip() {
+  const payload = Buffer.from([0, 1, 2, 255, 254])
+  for (let rid of ['1', 'a-long-request-id', 'ü-utf8', 'r'.repeat(255)]) {
+    const frame = websocket.encode_binary_frame(rid, payload)
+    const decoded = websocket.decode_binary_frame(frame)
+    assert(decoded.rid == rid, `Invalid decoded rid ${decoded.rid} != ${rid}`)
+    assert(
+      Buffer.compare(decoded.payload, payload) == 0,
+      `Invalid decoded payload for rid ${rid}`
+    )
+  }
+
+  // numeric rids are sent as strings, Uint8Array payloads are accepted.
+  const decoded = websocket.decode_binary_frame(
+    websocket.encode_binary_frame(42, new Uint8Array([7]))
+  )
+  assert(decoded.rid === '42', 'Numeric rid was not decoded as a string')
+  assert(decoded.payload.length == 1 && decoded.payload[0] == 7, 'Invalid')
+
+  const empty = websocket.decode_binary_frame(
+    websocket.encode_binary_frame('x', Buffer.alloc(0))
+  )
+  assert(empty.rid == 'x' && empty.payload.length == 0, 'Invalid empty frame')
+}
+
+function test_invalid_binary_frames_are_rejected() {
+  const rejected = (fn) => {
+    try {
+      fn()
+    } catch (err) {
+      return true
+    }
+    return false
+  }
+
+  assert(
+    rejected(() =>
+      websocket.encode_binary_frame('r'.repeat(256), Buffer.from([]))
+    ),
+    'Too long rid was not rejected'
+  )
+  assert(
+    rejected(() => websocket.decode_binary_frame(Buffer.alloc(0))),
+    'Empty frame was not rejected'
+  )
+  assert(
+    rejected(() => websocket.decode_binary_frame(Buffer.from([5, 97, 98]))),
+    'Truncated rid was not rejected'
+  )
+}
+
+/**
+ * @param {string} url
+ * @returns {Promise<{websocket: ws, closed: Promise<number>}|{status: number}>}
+ */
+function connect(url) {
+  return new Promise((resolve, reject) => {
+    const client = new ws(url)
+    const closed = new Promise((r) => client.once('close', (code) => r(code)))
+    client.once('open', () => resolve({ websocket: client, closed }))
+    client.once('unexpected-response', (req, res) => {
+      resolve({ status: res.statusCode })
+      req.destroy()
+    })
+    client.once('error', reject)
+  })
+}
+
+async function test_shared_server_routes_upgrades() {
+  const websocket_server = new websocket.StratisWebSocketServer()
+  const app = express()
+  app.use(
+    '/ws',
+    websocket(
+      (connection) =>
+        connection.on('message', (data) => connection.send(`echo:${data}`)),
+      { websocket_server }
+    )
+  )
+
+  const servers = [http.createServer(app), http.createServer(app)]
+  for (let server of servers) {
+    websocket_server.attach(server, app)
+    await new Promise((resolve) => server.listen(0, resolve))
+  }
+
+  try {
+    const connections = []
+    for (let server of servers) {
+      const { websocket: client, closed } = await connect(
+        `ws://localhost:${server.address().port}/ws`
+      )
+      const reply = new Promise((r) => client.once('message', (d) => r(`${d}`)))
+      client.send('hi')
+      assert((await reply) == 'echo:hi', 'Invalid websocket reply')
+      connections.push(closed)
+    }
+    assert(websocket_server.size == 2, 'Expected one server for all listeners')
+
+    // not routed to a websocket handler.
+    const rejected = await connect(
+      `ws://localhost:${servers[0].address().port}/other`
+    )
+    assert(rejected.status == 404, `Expected 404, got ${rejected.status}`)
+    assert(websocket_server.pending == 0, 'Rejected upgrade is still pending')
+
+    await websocket_server.close({ timeout: 1000 })
+    const codes = await Promise.all(connections)
+    assert(
+      codes.every((code) => code == 1001),
+      `Expected close code 1001, got ${codes.join(', ')}`
+    )
+    assert(websocket_server.size == 0, 'Websockets were not closed')
+
+    let attach_error = null
+    try {
+      websocket_server.attach(servers[0], app)
+    } catch (err) {
+      attach_error = err
+    }
+    assert(attach_error != null, 'Attached a closing websocket server')
+  } finally {
+    for (let server of servers) server.close()
+  }
+}
+
+async function main() {
+  test_binary_frame_round_trip()
+  test_invalid_binary_frames_are_rejected()
+  await test_shared_server_routes_upgrades()
+  console.log('OK')
+}
+
+main().catch((err) => {
+  console.error(err)
+  process.exit(1)
+})
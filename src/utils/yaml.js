@@ -0,0 +1,91 @@
+const YAML_PLAIN_STRING_REGEX = /^[a-zA-Z_\/][\w\-./ ]*$/
+const YAML_RESERVED_WORDS = new Set([
+  'true',
+  'false',
+  'null',
+  'yes',
+  'no',
+  'on',
+  'off',
+  '~',
+])
+
+/**
+ * @param {any} value
+ */
+function is_yaml_collection(value) {
+  return value != null && typeof value == 'object'
+}
+
+/**
+ * @param {string|number|boolean} value
+ * @returns {string} The yaml scalar
+ */
+function to_yaml_scalar(value) {
+  if (value == null) return 'null'
+  if (typeof value == 'number' || typeof value == 'boolean') return `${value}`
+  value = `${value}`
+  if (
+    YAML_PLAIN_STRING_REGEX.test(value) &&
+    !value.endsWith(' ') &&
+    !YAML_RESERVED_WORDS.has(value.toLowerCase())
+  )
+    return value
+  // json strings are valid yaml double quoted strings.
+  return JSON.stringify(value)
+}
+
+/**
+ * @param {any} value
+ * @param {number} indent
+ * @returns {string}
+ */
+function to_yaml_lines(value, indent) {
+  const pad = ' '.repeat(indent)
+
+  if (Array.isArray(value))
+    return value
+      .map((item) => {
+        if (!is_yaml_collection(item) || Object.keys(item).length == 0)
+          return `${pad}- ${to_yaml_value(item)}`
+        return `${pad}- ${to_yaml_lines(item, indent + 2).substring(
+          indent + 2
+        )}`
+      })
+      .join('\n')
+
+  return Object.entries(value)
+    .filter((e) => e[1] !== undefined)
+    .map(([key, item]) => {
+      key = to_yaml_scalar(key)
+      if (!is_yaml_collection(item) || Object.keys(item).length == 0)
+        return `${pad}${key}: ${to_yaml_value(item)}`
+      return `${pad}${key}:\n${to_yaml_lines(item, indent + 2)}`
+    })
+    .join('\n')
+}
+
+/**
+ * @param {any} value
+ */
+function to_yaml_value(value) {
+  if (Array.isArray(value) && value.length == 0) return '[]'
+  if (is_yaml_collection(value) && Object.keys(value).length == 0) return '{}'
+  return to_yaml_scalar(value)
+}
+
+/**
+ * Converts a json compatible value to yaml.
+ * @param {any} value The value to convert.
+ * @returns {string} The yaml string
+ */
+function to_yaml(value) {
+  if (value != null && typeof value.toJSON == 'function') value = value.toJSON()
+  if (!is_yaml_collection(value) || Object.keys(value).length == 0)
+    return to_yaml_value(value) + '\n'
+  return to_yaml_lines(JSON.parse(JSON.stringify(value)), 0) + '\n'
+}
+
+module.exports = {
+  to_yaml,
+}
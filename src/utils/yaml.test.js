@@ -0,0 +1,110 @@
+const { assert } = require('../common')
+const { to_yaml } = require('./yaml')
+
+/**
+ * @param {any} value
+ * @param {string} expected The expected yaml
+ */
+function assert_yaml(value, expected) {
+  const yaml = to_yaml(value)
+  assert(
+    yaml == expected,
+    `Invalid yaml for ${JSON.stringify(
+      value
+    )}:\n${yaml}\nexpected:\n${expected}`
+  )
+}
+
+function test_plain_strings_are_not_quoted() {
+  assert_yaml({ title: 'My api' }, 'title: My api\n')
+  assert_yaml({ path: '/index.html/list' }, 'path: /index.html/list\n')
+  assert_yaml({ type: 'application/json' }, 'type: application/json\n')
+}
+
+function test_strings_that_need_quoting() {
+  // would be read back as other types.
+  assert_yaml({ a: 'true' }, 'a: "true"\n')
+  assert_yaml({ a: 'No' }, 'a: "No"\n')
+  assert_yaml({ a: 'null' }, 'a: "null"\n')
+  assert_yaml({ a: '~' }, 'a: "~"\n')
+  assert_yaml({ a: '42' }, 'a: "42"\n')
+  assert_yaml({ a: '1.5' }, 'a: "1.5"\n')
+  assert_yaml({ a: '' }, 'a: ""\n')
+
+  // yaml syntax characters.
+  assert_yaml({ a: 'key: value' }, 'a: "key: value"\n')
+  assert_yaml({ a: 'a #comment' }, 'a: "a #comment"\n')
+  assert_yaml({ a: '- item' }, 'a: "- item"\n')
+  assert_yaml({ a: '/items/{id}' }, 'a: "/items/{id}"\n')
+  assert_yaml({ a: '[1]' }, 'a: "[1]"\n')
+  assert_yaml({ a: '*ref' }, 'a: "*ref"\n')
+  assert_yaml({ a: "it's" }, 'a: "it\'s"\n')
+  assert_yaml({ a: 'say "hi"' }, 'a: "say \\"hi\\""\n')
+  assert_yaml({ a: 'trailing ' }, 'a: "trailing "\n')
+  assert_yaml({ a: 'two\nlines' }, 'a: "two\\nlines"\n')
+
+  // keys are quoted the same way.
+  assert_yaml({ 200: 'ok' }, '"200": ok\n')
+  assert_yaml({ '/items/{id}': 1 }, '"/items/{id}": 1\n')
+}
+
+function test_scalars() {
+  assert_yaml({ n: 1.5, b: false, z: null }, 'n: 1.5\nb: false\nz: null\n')
+  assert_yaml({ skipped: undefined, kept: 1 }, 'kept: 1\n')
+  assert_yaml('text', 'text\n')
+  assert_yaml('true', '"true"\n')
+  assert_yaml(3, '3\n')
+  assert_yaml({}, '{}\n')
+  assert_yaml([], '[]\n')
+}
+
+function test_collections() {
+  assert_yaml(
+    {
+      info: { title: 'Api', version: '1.0.0' },
+      tags: ['a', 'b'],
+      empty_list: [],
+      empty_map: {},
+      items: [{ name: 'x', required: true }, [1, 2]],
+    },
+    [
+      'info:',
+      '  title: Api',
+      '  version: "1.0.0"',
+      'tags:',
+      '  - a',
+      '  - b',
+      'empty_list: []',
+      'empty_map: {}',
+      'items:',
+      '  - name: x',
+      '    required: true',
+      '  - - 1',
+      '    - 2',
+      '',
+    ].join('\n')
+  )
+}
+
+function test_to_json_is_used() {
+  assert_yaml(
+    { toJSON: () => ({ at: new Date(0) }) },
+    'at: "1970-01-01T00:00:00.000Z"\n'
+  )
+}
+
+function main() {
+  test_plain_strings_are_not_quoted()
+  test_strings_that_need_quoting()
+  test_scalars()
+  test_collections()
+  test_to_json_is_used()
+  console.log('OK')
+}
+
+try {
+  main()
+} catch (err) {
+  console.error(err)
+  process.exit(1)
+}
@@ -1,18 +1,149 @@
 if (document.stratis_client_constructor == null) {
+  class StratisApiError extends Error {
+    /**
+     * An error returned by a stratis api call.
+     * @param {{code:string, status:number, message:string, details:any,
+     * request_id:string}} error The server error object.
+     * @param {boolean} reload If true, the server requested a page reload.
+     */
+    constructor(error, reload = false) {
+      error =
+        error != null && typeof error == 'object'
+          ? error
+          : { message: `${error}` }
+      super(error.message)
+      this.name = 'StratisApiError'
+      this.code = error.code || 'internal_error'
+      this.status = error.status || 500
+      this.details = error.details == null ? null : error.details
+      this.request_id = error.request_id || null
+      this.reload = reload === true
+    }
+  }
+
+  class StratisApiStream {
+    /**
+     * An async iterator over a streamed api call result (ordered chunks).
+     * @param {()=>void} cancel Called if the iteration is stopped before the stream ended.
+     */
+    constructor(cancel) {
+      this._cancel = cancel
+      this._chunks = []
+      this._done = false
+      this._error = null
+      /** @type {()=>void} */
+      this._notify = null
+    }
+
+    push(chunk) {
+      this._chunks.push(chunk)
+      this._wake()
+    }
+
+    end() {
+      this._done = true
+      this._wake()
+    }
+
+    fail(err) {
+      this._error = err
+      this._done = true
+      this._wake()
+    }
+
+    _wake() {
+      if (this._notify == null) return
+      const notify = this._notify
+      this._notify = null
+      notify()
+    }
+
+    async next() {
+      while (this._chunks.length == 0 && !this._done)
+        await new Promise((resolve) => (this._notify = resolve))
+
+      if (this._chunks.length > 0)
+        return { value: this._chunks.shift(), done: false }
+      if (this._error != null) throw this._error
+      return { value: undefined, done: true }
+    }
+
+    async return() {
+      if (!this._done) {
+        this._done = true
+        this._chunks = []
+        this._cancel()
+      }
+      return { value: undefined, done: true }
+    }
+
+    [Symbol.asyncIterator]() {
+      return this
+    }
+  }
+
   class StratisClient extends EventTarget {
     /**
      * @param {number} timeout The request timeout
      * @param {string} websocket_path The url for the api websocket.
+     * @param {Object} param2 Connection options
+     * @param {number} param2.reconnect_min_delay The min delay before reconnecting [ms]
+     * @param {number} param2.reconnect_max_delay The max delay before reconnecting [ms]
+     * @param {'auto'|'websocket'|'http'} param2.transport The api call transport. If auto,
+     * use the websocket and fall back to http (fetch) if the websocket cannot connect.
+     * @param {number} param2.websocket_connect_timeout The max time to wait for the websocket to
+     * connect [ms], before falling back to http (auto transport only)
+     * @param {Object<string,[string]>} param2.http_methods The allowed http methods of the
+     * restricted api methods, by name (http transport)
      */
-    constructor(timeout = 1000 * 60, websocket_path = null) {
+    constructor(
+      timeout = 1000 * 60,
+      websocket_path = null,
+      {
+        reconnect_min_delay = 500,
+        reconnect_max_delay = 1000 * 30,
+        transport = 'auto',
+        websocket_connect_timeout = 1000 * 10,
+        http_methods = {},
+      } = {}
+    ) {
       super()
       this.protocol = window.location.protocol == 'https:' ? 'wss:' : 'ws:'
       this.timeout = StratisClient.try_parse_number(timeout, 1000 * 60)
+      this.reconnect_min_delay = reconnect_min_delay
+      this.reconnect_max_delay = reconnect_max_delay
+      this.transport = transport || 'auto'
+      this.websocket_connect_timeout = websocket_connect_timeout
+      this.http_methods = http_methods || {}
 
       /** @type {WebSocket} */
       this.websocket = null
       this.websocket_path = websocket_path
       this._request_timeout_id_by_rid = {}
+
+      /**
+       * Requests that were sent and are waiting for a response, by rid.
+       * @type {Object<string, (err:Error)=>void>}
+       */
+      this._sent_request_rejects = {}
+      /**
+       * The abort controllers of the running http requests, by rid.
+       * @type {Object<string, AbortController>}
+       */
+      this._http_request_aborts = {}
+      /**
+       * Requests waiting for the websocket to connect.
+       * @type {[{rid:string, request:{}, reject:(err:Error)=>void}]}
+       */
+      this._send_queue = []
+      this._reconnect_attempts = 0
+      this._reconnect_timeout_id = null
+      this._closed = false
+      this._has_connected = false
+      this.use_http = this.transport == 'http'
+
+      window.addEventListener('online', () => this.reconnect_now())
+
       this.validate_websocket()
     }
 
@@ -29,20 +160,64 @@ if (document.stratis_client_constructor == null) {
       return '__stratis_api_websocket_invoke'
     }
 
+    static get push_notification_event_prefix() {
+      return '__stratis_push_notification:'
+    }
+
+    static get connected_event_name() {
+      return 'connected'
+    }
+
+    static get disconnected_event_name() {
+      return 'disconnected'
+    }
+
+    static get http_fallback_event_name() {
+      return 'http_fallback'
+    }
+
+    static get batch_api_name() {
+      return 'stratis_batch'
+    }
+
     /**
-     * @param {string} name The name of the api method to catch.
-     * @param {(...args, ws)} handler The method handler.
+     * True if the websocket is connected.
      */
-    static on(name, handler) {
-      return this.addEventListener(name, handler)
+    get is_connected() {
+      return (
+        this.websocket != null && this.websocket.readyState == WebSocket.OPEN
+      )
     }
 
     /**
-     * @param {string} name The name of the api method to clear.
-     * @param {any} callback The callback method.
+     * Listen to a server push notification.
+     * @param {string} name The name of the push notification.
+     * @param {(args:any, ev:Event)=>any} handler The notification handler.
+     * @returns {(ev:Event)=>any} The event listener (to be used with clear)
      */
-    static clear(name, callback) {
-      this.removeEventListener(name, callback)
+    on(name, handler) {
+      this.assert(
+        typeof handler == 'function',
+        'Push notification handler must be a function'
+      )
+      const listener = (ev) => handler(ev.args, ev)
+      this.addEventListener(
+        StratisClient.push_notification_event_prefix + name,
+        listener
+      )
+      return listener
+    }
+
+    /**
+     * Stop listening to a server push notification.
+     * @param {string} name The name of the push notification.
+     * @param {(ev:Event)=>any} listener The listener returned by on.
+     */
+    clear(name, listener) {
+      this.removeEventListener(
+        StratisClient.push_notification_event_prefix + name,
+        listener
+      )
     }
 
     assert(condition, ...data) {
@@ -53,7 +228,10 @@ if (document.stratis_client_constructor == null) {
     }
 
     set_request_timeout(rid, callback, timeout = null) {
-      this._request_timeout_id_by_rid[rid] = setTimeout(callback, this.timeout)
+      this._request_timeout_id_by_rid[rid] = setTimeout(
+        callback,
+        timeout || this.timeout
+      )
     }
 
     clear_request_timeout(rid) {
@@ -139,48 +317,425 @@ if (document.stratis_client_constructor == null) {
     }
 
     validate_websocket() {
-      if (this.websocket != null) return
+      if (this.websocket != null || this._closed || this.use_http) return
 
-      this.websocket = new WebSocket(
+      const websocket = new WebSocket(
         this.protocol +
           '//' +
           window.location.host +
           this.resolve_websocket_path()
       )
+      websocket.binaryType = 'arraybuffer'
+      this.websocket = websocket
+      let was_opened = false
 
-      console.log(
-        'Created stratis websocket connection @ ' + this.websocket.url
-      )
+      console.log('Created stratis websocket connection @ ' + websocket.url)
 
-      this.websocket.addEventListener('message', (ev) => {
+      // proxies may hang the websocket upgrade.
+      const connect_timeout_id =
+        this.transport == 'auto' && !this._has_connected
+          ? setTimeout(() => {
+              if (!was_opened) websocket.close()
+            }, this.websocket_connect_timeout)
+          : null
+
+      websocket.addEventListener('message', (ev) => {
         this.process_websocket_message(ev)
       })
-      this.websocket.addEventListener('open', (ev) => {
-        console.log('Stratis websocket connection open @ ' + this.websocket.url)
+      websocket.addEventListener('open', (ev) => {
+        console.log('Stratis websocket connection open @ ' + websocket.url)
+        was_opened = true
+        this._has_connected = true
+        window.clearTimeout(connect_timeout_id)
+        this._reconnect_attempts = 0
+        this.dispatchEvent(new Event(StratisClient.connected_event_name))
+        this.flush_send_queue()
+      })
+      websocket.addEventListener('close', (ev) => {
+        window.clearTimeout(connect_timeout_id)
+        if (this.websocket != websocket) return
+        this.websocket = null
+        if (this.transport == 'auto' && !this._has_connected)
+          this.fallback_to_http()
+        else this.on_websocket_disconnected(ev, was_opened)
       })
     }
 
+    /**
+     * Called when the websocket was closed (or failed to connect). Fails the sent requests
+     * and schedules a reconnect.
+     * @param {CloseEvent} ev
+     * @param {boolean} was_connected True if the websocket was connected before closing.
+     */
+    on_websocket_disconnected(ev, was_connected) {
+      if (was_connected)
+        console.warn('Stratis websocket disconnected (' + ev.code + ')')
+
+      // requests that were sent will never get a response.
+      const rejects = Object.values(this._sent_request_rejects)
+      this._sent_request_rejects = {}
+      for (let reject of rejects)
+        reject(
+          new StratisApiError({
+            code: 'network_error',
+            status: 503,
+            message: 'Stratis websocket disconnected (' + ev.code + ')',
+          })
+        )
+
+      if (was_connected) {
+        const disconnected = new Event(StratisClient.disconnected_event_name)
+        disconnected.code = ev.code
+        this.dispatchEvent(disconnected)
+      }
+
+      this.schedule_reconnect()
+    }
+
+    /**
+     * Switch the api calls to http (fetch). Queued requests are sent over http.
+     * Push notifications are not available over http.
+     */
+    fallback_to_http() {
+      if (this.use_http) return
+      console.warn(
+        'Stratis websocket could not connect, falling back to http api calls'
+      )
+      this.use_http = true
+      this.dispatchEvent(new Event(StratisClient.http_fallback_event_name))
+
+      const queued = this._send_queue
+      this._send_queue = []
+      for (let request of queued)
+        this.send_http_request(request.request, request.reject, request)
+    }
+
+    /**
+     * @param {string} name The api method name.
+     * @returns {string} The REST api url for the method.
+     */
+    resolve_api_url(name) {
+      return (
+        window.location.protocol +
+        '//' +
+        window.location.host +
+        this.resolve_websocket_path() +
+        '/' +
+        encodeURIComponent(name)
+      )
+    }
+
+    /**
+     * @param {string} name The api method name.
+     * @returns {string} The http method to call the api method with (REST), by its allowed
+     * http methods.
+     */
+    resolve_http_method(name) {
+      const allowed = this.http_methods[name]
+      if (allowed == null || allowed.includes('POST')) return 'POST'
+      if (allowed.includes('GET')) return 'GET'
+      return allowed[0]
+    }
+
+    /**
+     * Send a request over http (the page REST api). The response is dispatched
+     * as a websocket response.
+     * @param {{rid:string, name:string, args:{}, batch:[{name:string, args:{}}]}} request The
+     * request. Batch requests are sent to the batch endpoint.
+     * @param {(err:Error)=>void} reject Called if the http request failed.
+     * @param {Object} param2
+     * @param {boolean} param2.is_stream If true, the call result is streamed (on_chunk), which
+     * requires the websocket.
+     */
+    async send_http_request(request, reject, { is_stream = false } = {}) {
+      if (request.binary != null || is_stream)
+        return reject(
+          new StratisApiError({
+            code: 'not_implemented',
+            status: 501,
+            message:
+              'Stratis ' +
+              (is_stream ? 'streamed calls' : 'binary args') +
+              ' can only be sent over the websocket transport',
+          })
+        )
+
+      const abort_controller = new AbortController()
+      this._http_request_aborts[request.rid] = abort_controller
+      const is_batch = request.batch != null
+      const http_method = is_batch
+        ? 'POST'
+        : this.resolve_http_method(request.name)
+      const args = is_batch ? { calls: request.batch } : request.args || {}
+
+      let url = this.resolve_api_url(
+        is_batch ? StratisClient.batch_api_name : request.name
+      )
+      if (http_method == 'GET') {
+        // array values are sent as repeated keys.
+        const query = new URLSearchParams()
+        for (const [key, val] of Object.entries(args))
+          for (const v of Array.isArray(val) ? val : [val])
+            if (v != null)
+              query.append(key, typeof v == 'object' ? JSON.stringify(v) : v)
+        url += '?' + query.toString()
+      }
+
+      try {
+        const res = await fetch(url, {
+          method: http_method,
+          headers:
+            http_method == 'GET' ? {} : { 'Content-Type': 'application/json' },
+          body: http_method == 'GET' ? undefined : JSON.stringify(args),
+          signal: abort_controller.signal,
+        })
+        const content_type = res.headers.get('content-type') || ''
+        const is_json = /\bjson\b/.test(content_type)
+        const is_binary = /^application\/octet-stream\b/.test(content_type)
+        const body = is_json
+          ? await res.json()
+          : is_binary
+          ? await res.arrayBuffer()
+          : await res.text()
+
+        if (!res.ok)
+          this.invoke_event(
+            request.rid,
+            null,
+            is_json && body != null && body.error != null
+              ? body.error
+              : { status: res.status, message: `${body}` }
+          )
+        else if (is_binary)
+          this.invoke_event(request.rid, null, null, {
+            rid: request.rid,
+            binary_payload: body,
+          })
+        else this.invoke_event(request.rid, body, null)
+      } catch (err) {
+        // aborted requests were already rejected (see cancel_request)
+        if (!abort_controller.signal.aborted)
+          reject(
+            new StratisApiError({
+              code: 'network_error',
+              status: 503,
+              message: 'Stratis http api call failed: ' + err.message,
+            })
+          )
+      } finally {
+        delete this._http_request_aborts[request.rid]
+      }
+    }
+
+    /**
+     * Cancel a request. Queued requests are removed, websocket requests send
+     * a cancel frame ({rid, cancel: true}) and http requests are aborted.
+     * @param {string} rid The request id.
+     */
+    cancel_request(rid) {
+      this.remove_queued_request(rid)
+
+      if (this._http_request_aborts[rid] != null) {
+        this._http_request_aborts[rid].abort()
+        delete this._http_request_aborts[rid]
+      }
+
+      if (this._sent_request_rejects[rid] != null && this.is_connected)
+        this.websocket.send(JSON.stringify({ rid, cancel: true }))
+    }
+
+    /**
+     * Reconnect with exponential backoff and (equal) jitter.
+     */
+    schedule_reconnect() {
+      if (this._closed || this._reconnect_timeout_id != null) return
+
+      const delay = Math.min(
+        this.reconnect_max_delay,
+        this.reconnect_min_delay * Math.pow(2, this._reconnect_attempts)
+      )
+      this._reconnect_attempts += 1
+
+      this._reconnect_timeout_id = setTimeout(() => {
+        this._reconnect_timeout_id = null
+        this.validate_websocket()
+      }, delay / 2 + (Math.random() * delay) / 2)
+    }
+
+    /**
+     * Skip the backoff delay and reconnect now (if disconnected).
+     */
+    reconnect_now() {
+      if (this._reconnect_timeout_id == null) return
+      window.clearTimeout(this._reconnect_timeout_id)
+      this._reconnect_timeout_id = null
+      this.validate_websocket()
+    }
+
+    /**
+     * Close the websocket and stop reconnecting.
+     */
+    close() {
+      this._closed = true
+      this.reconnect_now()
+      if (this.websocket != null) this.websocket.close()
+    }
+
+    /**
+     * Send a request over the websocket (or http, see transport). If disconnected,
+     * the request is queued until the websocket connects.
+     * @param {string} rid The request id.
+     * @param {{}} request The request.
+     * @param {(err:Error)=>void} reject Called if the request failed after it was sent.
+     * @param {[ArrayBuffer|ArrayBufferView]} binary The binary frames payloads, sent after the request.
+     * @param {Object} param4
+     * @param {boolean} param4.is_stream If true, the call result is streamed (on_chunk), which
+     * requires the websocket.
+     */
+    send_request(
+      rid,
+      request,
+      reject,
+      binary = [],
+      { is_stream = false } = {}
+    ) {
+      if (this.use_http)
+        return this.send_http_request(request, reject, { is_stream })
+      this._send_queue.push({ rid, request, reject, binary, is_stream })
+      this.validate_websocket()
+      this.flush_send_queue()
+    }
+
+    /**
+     * Remove a request from the send queue (if not sent yet)
+     * @param {string} rid The request id.
+     */
+    remove_queued_request(rid) {
+      this._send_queue = this._send_queue.filter((r) => r.rid != rid)
+    }
+
+    flush_send_queue() {
+      while (this.is_connected && this._send_queue.length > 0) {
+        const request = this._send_queue.shift()
+        this.websocket.send(JSON.stringify(request.request))
+        for (let payload of request.binary || [])
+          this.websocket.send(this.encode_binary_frame(request.rid, payload))
+        this._sent_request_rejects[request.rid] = request.reject
+      }
+    }
+
+    /**
+     * @param {any} val
+     * @returns {boolean} True if the value is sent as a binary frame.
+     */
+    is_binary_value(val) {
+      return (
+        val instanceof Blob ||
+        val instanceof ArrayBuffer ||
+        ArrayBuffer.isView(val)
+      )
+    }
+
+    /**
+     * Replace the binary values (Blob, ArrayBuffer or typed arrays) in the call args with null.
+     * @param {{}} args The call args.
+     * @returns {{args:{}, paths:[[string|number]], payloads:[ArrayBuffer|ArrayBufferView]}} The args
+     * without the binary values, and the binary values paths and payloads (in order).
+     */
+    async extract_binary_args(args) {
+      const paths = []
+      const payloads = []
+      const extract = async (val, path) => {
+        if (this.is_binary_value(val)) {
+          paths.push(path)
+          payloads.push(val instanceof Blob ? await val.arrayBuffer() : val)
+          return null
+        }
+        if (Array.isArray(val)) {
+          const items = []
+          for (let i = 0; i < val.length; i++)
+            items.push(await extract(val[i], path.concat([i])))
+          return items
+        }
+        if (Object.prototype.toString.call(val) == '[object Object]') {
+          const o = {}
+          for (let key of Object.keys(val))
+            o[key] = await extract(val[key], path.concat([key]))
+          return o
+        }
+        return val
+      }
+      return { args: await extract(args, []), paths, payloads }
+    }
+
+    /**
+     * Encode a binary frame, [rid length (uint8)][rid (utf-8)][payload]
+     * @param {string} rid The request id.
+     * @param {ArrayBuffer|ArrayBufferView} payload
+     * @returns {Uint8Array} The frame.
+     */
+    encode_binary_frame(rid, payload) {
+      const rid_bytes = new TextEncoder().encode(rid)
+      const bytes = ArrayBuffer.isView(payload)
+        ? new Uint8Array(payload.buffer, payload.byteOffset, payload.byteLength)
+        : new Uint8Array(payload)
+      const frame = new Uint8Array(1 + rid_bytes.length + bytes.length)
+      frame[0] = rid_bytes.length
+      frame.set(rid_bytes, 1)
+      frame.set(bytes, 1 + rid_bytes.length)
+      return frame
+    }
+
+    /**
+     * @param {ArrayBuffer} frame The binary frame (see encode_binary_frame)
+     * @returns {{rid:string, payload:ArrayBuffer}}
+     */
+    decode_binary_frame(frame) {
+      const rid_length = new Uint8Array(frame, 0, 1)[0]
+      return {
+        rid: new TextDecoder().decode(new Uint8Array(frame, 1, rid_length)),
+        payload: frame.slice(1 + rid_length),
+      }
+    }
+
     async wait_for_websocket_ready() {
       this.validate_websocket()
-      if (this.websocket.readyState == this.websocket.OPEN) return true
+      if (this.is_connected) return true
       console.log('waiting for stratis websocket to be ready..')
 
       await new Promise((resolve, reject) => {
-        let connected_event_listener = null
-
-        connected_event_listener = () => {
+        const connected_event_listener = () => {
           resolve()
-          this.websocket.removeEventListener('open', connected_event_listener)
+          this.removeEventListener(
+            StratisClient.connected_event_name,
+            connected_event_listener
+          )
         }
 
-        this.websocket.addEventListener('open', connected_event_listener)
+        this.addEventListener(
+          StratisClient.connected_event_name,
+          connected_event_listener
+        )
       })
     }
 
     process_websocket_message(ev) {
+      if (typeof ev.data != 'string') {
+        const { rid, payload } = this.decode_binary_frame(ev.data)
+        return this.invoke_event(rid, payload, null, {
+          rid,
+          binary_payload: payload,
+        })
+      }
+
       const data = JSON.parse(ev.data)
+      if (data.live_reload != null)
+        return this.process_live_reload(data.live_reload)
+
       try {
-        this.invoke_event(data.rid, data.response, data.error)
+        if (data.push != null)
+          this.invoke_push_notification(data.push, data.args)
+        else this.invoke_event(data.rid, data.response, data.error, data)
       } catch (err) {
         console.error(err)
       }
@@ -188,7 +743,7 @@ if (document.stratis_client_constructor == null) {
       if (data.reload == true) window.location.reload()
     }
 
-    async invoke_event(rid, response, error) {
+    async invoke_event(rid, response, error, data = null) {
       response = response || {}
 
       const ev = new Event(name)
@@ -201,9 +756,51 @@ if (document.stratis_client_constructor == null) {
       invoke_event.rid = rid
       invoke_event.args = response
       invoke_event.error = error
+      invoke_event.data = data
       this.dispatchEvent(invoke_event)
     }
 
+    /**
+     * Apply a server live reload notice (file changed, dev mode). Stylesheets
+     * are hot swapped, otherwise the page is reloaded.
+     * @param {{type:'reload'|'css', path:string}} notice
+     */
+    process_live_reload(notice) {
+      // multiple api clients on the same page receive the same notice.
+      const now = Date.now()
+      const last = StratisClient._last_live_reload
+      if (last != null && last.path == notice.path && now - last.at < 100)
+        return
+      StratisClient._last_live_reload = { path: notice.path, at: now }
+
+      console.log('Stratis live reload (' + notice.type + '): ' + notice.path)
+      if (notice.type != 'css') return window.location.reload()
+
+      const links = Array.from(
+        document.querySelectorAll('link[rel="stylesheet"]')
+      ).filter((link) => new URL(link.href).origin == window.location.origin)
+      const changed = links.filter((link) =>
+        new URL(link.href).pathname.endsWith(notice.path)
+      )
+
+      // the stylesheet may be imported by another stylesheet.
+      for (let link of changed.length > 0 ? changed : links) {
+        const url = new URL(link.href)
+        url.searchParams.set('stratis_live_reload', now)
+        const swapped = link.cloneNode()
+        swapped.href = url.href
+        swapped.addEventListener('load', () => link.remove())
+        swapped.addEventListener('error', () => link.remove())
+        link.after(swapped)
+      }
+    }
+
+    invoke_push_notification(name, args) {
+      const ev = new Event(StratisClient.push_notification_event_prefix + name)
+      ev.args = args
+      this.dispatchEvent(ev)
+    }
+
     make_request_id() {
       const S4 = function () {
         return (((1 + Math.random()) * 0x10000) | 0).toString(16).substring(1)
@@ -227,73 +824,246 @@ if (document.stratis_client_constructor == null) {
     /**
      * @param {string} name Name of the api function to call
      * @param {{}} args The function arguments (first argument)
-     * @param {number} timeout The timeout in ms
-     * @returns {any} The request response.
+     * @param {number|{timeout:number, signal:AbortSignal, on_chunk:(chunk:any)=>any, binary_type:'blob'|'arraybuffer'}} options The
+     * timeout in ms, or the call options. If the signal is aborted (or the call timed out), the call
+     * is cancelled on the server. If on_chunk is provided, streamed results are sent to on_chunk and
+     * the call resolves when the stream ends. binary_type is the type of binary results (default blob).
+     * Binary args (Blob, ArrayBuffer or typed arrays) are sent as binary websocket frames.
+     * @returns {any|StratisApiStream|Blob|ArrayBuffer} The request response. Streamed results (websocket) are
+     * returned as an async iterator over the chunks.
      */
-    async api_call(name, args, timeout = null) {
+    async api_call(name, args, options = null) {
       this.assert(
         typeof name == 'string' && name.length > 0,
         'name must be a non empty string'
       )
 
-      const rid = this.make_request_id()
+      const request = { rid: this.make_request_id(), name, args }
+      const binary = await this.extract_binary_args(args)
+      if (binary.paths.length > 0) {
+        request.args = binary.args
+        request.binary = binary.paths
+      }
 
-      // validating websocket is connected.
-      await this.wait_for_websocket_ready()
+      return await this.send_api_request(request, options, binary.payloads)
+    }
 
-      this.websocket.send(
-        JSON.stringify({
-          rid,
-          name,
-          args,
-        })
+    /**
+     * Call multiple api methods in a single request (a websocket batch frame, or an
+     * http request to the batch endpoint). The calls share the server call context,
+     * and errors are returned per call.
+     * @param {[{name:string, args:{}}]} calls The calls.
+     * @param {number|{timeout:number, signal:AbortSignal}} options The timeout in ms, or
+     * the call options (see api_call)
+     * @returns {[{response:any, error:{code:string, status:number, message:string,
+     * details:any, request_id:string}}]} The call results, in order.
+     */
+    async batch(calls, options = null) {
+      this.assert(
+        Array.isArray(calls) &&
+          calls.every((c) => c != null && typeof c.name == 'string'),
+        'calls must be a list of {name, args}'
       )
 
-      timeout = timeout || this.timeout
+      return await this.send_api_request(
+        {
+          rid: this.make_request_id(),
+          batch: calls.map((c) => ({ name: c.name, args: c.args || {} })),
+        },
+        options
+      )
+    }
+
+    /**
+     * Send an api request and wait for its response.
+     * @param {{rid:string}} request The request.
+     * @param {number|{}} options The timeout in ms, or the call options (see api_call)
+     * @param {[ArrayBuffer|ArrayBufferView]} binary_payloads The binary frames payloads.
+     */
+    async send_api_request(request, options = null, binary_payloads = []) {
+      const {
+        timeout = null,
+        signal = null,
+        on_chunk = null,
+        binary_type = 'blob',
+      } = options == null || typeof options != 'object'
+        ? { timeout: options }
+        : options
+
+      if (signal != null && signal.aborted) throw signal.reason
+
+      const rid = request.rid
+      const name = request.name || StratisClient.batch_api_name
+
       return await new Promise((resolve, reject) => {
         let response_listenter = null
+        /** @type {StratisApiStream} */
+        let stream = null
+
+        const fail = (err) => {
+          cleanup()
+          if (stream != null) stream.fail(err)
+          else reject(err)
+        }
+
+        const on_abort = () => {
+          this.cancel_request(rid)
+          fail(signal.reason)
+        }
+
         const cleanup = () => {
           if (response_listenter != null)
             this.removeEventListener(
               StratisClient.api_even_name,
               response_listenter
             )
+          if (signal != null) signal.removeEventListener('abort', on_abort)
+          delete this._sent_request_rejects[rid]
+          this.remove_queued_request(rid)
           this.clear_request_timeout(rid)
         }
 
+        if (signal != null) signal.addEventListener('abort', on_abort)
+
         this.set_request_timeout(
           rid,
           () => {
+            this.cancel_request(rid)
             cleanup()
             reject(
-              `Client request for api object '${name}'' timed out (${rid})`
+              new StratisApiError({
+                code: 'timeout',
+                status: 408,
+                message: `Client request for api object '${name}' timed out (${rid})`,
+              })
             )
           },
-          Math.ceil(timeout)
+          timeout == null ? null : Math.ceil(timeout)
         )
 
+        const start_stream = () => {
+          // streams may be endless.
+          this.clear_request_timeout(rid)
+          stream = new StratisApiStream(() => {
+            this.cancel_request(rid)
+            cleanup()
+          })
+
+          if (on_chunk == null) return resolve(stream)
+          ;(async () => {
+            try {
+              for await (const chunk of stream) await on_chunk(chunk)
+              resolve()
+            } catch (err) {
+              reject(err)
+            }
+          })()
+        }
+
         response_listenter = async (ev) => {
-          if (ev.rid == rid) {
+          if (ev.rid != rid) return
+          const data = ev.data || {}
+
+          if (ev.error != null)
+            return fail(new StratisApiError(ev.error, data.reload))
+          if (data.stream === true) return start_stream()
+          // the binary frame follows the header.
+          if (data.binary === true) return
+
+          if (data.binary_payload != null) {
+            const payload =
+              binary_type == 'arraybuffer'
+                ? data.binary_payload
+                : new Blob([data.binary_payload])
+            // binary stream chunk.
+            if (stream != null) return stream.push(payload)
             cleanup()
-            if (ev.error != null) reject(ev.error)
-            else resolve(ev.args)
+            return resolve(payload)
           }
+
+          if (stream == null) {
+            cleanup()
+            resolve(ev.args)
+          } else if (data.end === true) {
+            cleanup()
+            stream.end()
+          } else stream.push(data.chunk)
         }
 
         this.addEventListener(StratisClient.api_even_name, response_listenter)
+
+        // queued if disconnected.
+        this.send_request(rid, request, (err) => fail(err), binary_payloads, {
+          is_stream: on_chunk != null,
+        })
       })
     }
   }
 
   document.stratis_client_constructor = StratisClient
+  window.StratisApiError = StratisApiError
 }
 
 const <%- api_name %>_client = new document.stratis_client_constructor(
   '<%- stratis.client_api_options.timeout %>',
-  <%- websocket_path? `'${websocket_path}'` : 'null' %>,
+  <%- websocket_path ? JSON.stringify(websocket_path) : 'null' %>,
+  {
+    reconnect_min_delay: <%- stratis.client_api_options.reconnect_min_delay %>,
+    reconnect_max_delay: <%- stratis.client_api_options.reconnect_max_delay %>,
+    transport: <%- JSON.stringify(transport || stratis.client_api_options.transport) %>,
+    websocket_connect_timeout: <%- stratis.client_api_options.websocket_connect_timeout %>,
+    http_methods: <%- JSON.stringify(http_methods) %>,
+  }
 )
 
 class <%- api_name %> {
+  /**
+   * The stratis websocket client. Dispatches the 'connected' and 'disconnected' events.
+   */
+  static get client() {
+    return <%- api_name %>_client
+  }
+
+  /**
+   * The api call error type (code, status, message, details and request_id)
+   */
+  static get StratisApiError() {
+    return window.StratisApiError
+  }
+
+  /**
+   * Listen to a server push notification.
+   * @param {string} name The name of the push notification.
+   * @param {(args:any, ev:Event)=>any} handler The notification handler.
+   */
+  static on(name, handler) {
+    <%- api_name %>_client.assert(
+      <%- JSON.stringify(push_notifications) %>.includes(name),
+      `Unknown push notification '${name}'`
+    )
+    return <%- api_name %>_client.on(name, handler)
+  }
+
+  /**
+   * Stop listening to a server push notification.
+   * @param {string} name The name of the push notification.
+   * @param {(ev:Event)=>any} listener The listener returned by on.
+   */
+  static clear(name, listener) {
+    return <%- api_name %>_client.clear(name, listener)
+  }
+
+  /**
+   * Call multiple api methods in a single request. Errors are returned per call.
+   * @param {[{name:string, args:{}}]} calls The calls.
+   * @param {number|{timeout:number, signal:AbortSignal}} options The timeout in ms, or the call options.
+   * @returns {[{response:any, error:{code:string, status:number, message:string, details:any, request_id:string}}]} The
+   * call results, in order.
+   */
+  static async batch(calls, options = null) {
+    return await <%- api_name %>_client.batch(calls, options)
+  }
+
   // Auto generated api object get methods
   // <% for (const api_object_name of Object.keys(code_module)) {%>
   static async <%- api_object_name %>(...args){
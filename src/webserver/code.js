@@ -1,40 +1,390 @@
+const fs = require('fs')
+const path = require('path')
+const vm = require('vm')
+const { createRequire } = require('module')
 const { assert, path_stat } = require('../common')
 const { CacheDictionary } = require('../utils/collections')
+const { validate_schema } = require('../utils/schema')
+const { StratisValidationError } = require('../errors')
+const { STRATIS_JSONRPC_PROTOCOL } = require('./consts')
 
 /**
  * @typedef {import('./interfaces').StratisApiHandler} StratisApiHandler
+ * @typedef {import('./interfaces').StratisRequestHandler} StratisRequestHandler
+ * @typedef {import('./interfaces').JsonCompatible} JsonCompatible
  * @typedef {import('./stratis').Stratis} Stratis
+ * @typedef {import('ws')} WebSocket
  * @typedef {import('../utils/collections').CacheDictionaryOptions} CacheDictionaryOptions
+ * @typedef {import('../utils/schema').StratisSchema} StratisSchema
+ * @typedef {import('./pages').StratisPageCallContext} StratisPageCallContext
+ */
+
+const JSDOC_COMMENT_MATCH_REGEX =
+  /\/\*\*((?:(?!\*\/)[\s\S])*)\*\/\s*(?:(?:async\s+)?function\s*\*?\s*(\w+)|(?:const|let|var)\s+(\w+)|(\w+)\s*:)/g
+
+/**
+ * @typedef {Object} StratisJSDocParam
+ * @property {string} name The param name (path), e.g. args.value
+ * @property {string} type The param type expression (null if not provided)
+ * @property {boolean} optional True if the param is optional ([name])
+ * @property {string} description The param description.
+ */
+
+/**
+ * @typedef {Object} StratisJSDocComment
+ * @property {string} summary The comment text before the first @tag (null if none)
+ * @property {[StratisJSDocParam]} params The @param tags.
+ * @property {string} returns The @returns type expression (null if none)
  */
 
+/**
+ * Reads a jsdoc tag type expression ({...}, with nested braces) from the start of the text.
+ * @param {string} text
+ * @returns {{type:string, rest:string}}
+ */
+function read_jsdoc_tag_type(text) {
+  if (!text.startsWith('{')) return { type: null, rest: text }
+  let depth = 0
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] == '{') depth += 1
+    else if (text[i] == '}') depth -= 1
+    if (depth == 0)
+      return {
+        type: text.substring(1, i).trim(),
+        rest: text.substring(i + 1).trim(),
+      }
+  }
+  return { type: null, rest: text }
+}
+
+/**
+ * @param {string} body The jsdoc comment body (without /** and *\/)
+ * @returns {StratisJSDocComment}
+ */
+function parse_jsdoc_comment(body) {
+  const summary = []
+  const tags = []
+  for (let line of body.split('\n')) {
+    line = line.replace(/^\s*\*?/, '').trim()
+    if (line.startsWith('@')) tags.push(line)
+    else if (tags.length > 0) tags[tags.length - 1] += ' ' + line
+    else if (line.length > 0) summary.push(line)
+  }
+
+  const comment = {
+    summary: summary.length > 0 ? summary.join(' ') : null,
+    params: [],
+    returns: null,
+  }
+
+  for (let tag of tags) {
+    const tag_name = tag.match(/^@(\w+)/)[1]
+    const { type, rest } = read_jsdoc_tag_type(
+      tag.substring(tag_name.length + 1).trim()
+    )
+    switch (tag_name) {
+      case 'param':
+      case 'arg':
+      case 'argument':
+        const param = rest.match(/^(\[)?([\w$.]+)(?:=[^\]]*)?\]?\s*(.*)$/)
+        if (param != null)
+          comment.params.push({
+            name: param[2],
+            type,
+            optional: param[1] != null,
+            description: param[3].replace(/^-\s*/, '').trim() || null,
+          })
+        break
+      case 'returns':
+      case 'return':
+        comment.returns = type
+        break
+    }
+  }
+
+  return comment
+}
+
+/**
+ * Parses the jsdoc comments of the functions, variables and object keys in a
+ * code file source.
+ * @param {string} source The code file source.
+ * @returns {Object<string,StratisJSDocComment>} The comments by name.
+ */
+function parse_jsdoc_comments(source) {
+  const comments = {}
+  for (let match of source.matchAll(JSDOC_COMMENT_MATCH_REGEX)) {
+    const name = match[2] || match[3] || match[4]
+    if (comments[name] == null) comments[name] = parse_jsdoc_comment(match[1])
+  }
+  return comments
+}
+
 /**
  * The type of code object. See documentation in readme.
- * @typedef {"API_METHOD" | "PUSH_NOTIFICATION" | "TEMPLATE_ARG" | "REQUEST_HANDLER" | "IGNORE"} StratisCodeObjectTypeEnum
+ * @typedef {"API_METHOD" | "PUSH_NOTIFICATION" | "TEMPLATE_ARG" | "REQUEST_HANDLER" | "WEBSOCKET_HOOK" | "IGNORE"} StratisCodeObjectTypeEnum
  */
 
+/**
+ * The websocket connection hook names, e.g. on_connect(context), on_disconnect(context, code)
+ * and on_message_error(context, err). Hooks are code objects with the WEBSOCKET_HOOK type
+ * (exports with these names are not hooks unless explicitly typed).
+ */
+const WEBSOCKET_HOOK_NAMES = ['on_connect', 'on_disconnect', 'on_message_error']
+
+class StratisPushNotification {
+  /**
+   * A push notification channel. When exported from a code file, all websockets
+   * connected to the page api are subscribed, and can be notified by calling send.
+   * @param {Object} param0
+   * @param {string} param0.name The name to use, (overrides module key)
+   */
+  constructor({ name = null } = {}) {
+    this.name = name
+
+    /** @type {Set<WebSocket>} */
+    this._websockets = new Set()
+    /**
+     * Subscribed websocket sets kept outside the notification (see attach).
+     * @type {Set<Set<WebSocket>>}
+     */
+    this._attached = new Set()
+  }
+
+  /**
+   * The subscribed websockets.
+   * @type {Set<WebSocket>}
+   */
+  get websockets() {
+    const websockets = new Set(this._websockets)
+    for (let attached of this._attached)
+      for (let ws of attached) websockets.add(ws)
+    return websockets
+  }
+
+  /**
+   * Also send to a websocket set that is managed outside the notification, e.g. the code
+   * module bank subscriptions, which are kept when the code module is reloaded.
+   * @param {Set<WebSocket>} websockets
+   */
+  attach(websockets) {
+    this._attached.add(websockets)
+  }
+
+  /**
+   * Subscribe a websocket to the notification. Removed when the websocket closes.
+   * @param {WebSocket} ws
+   */
+  subscribe(ws) {
+    if (this._websockets.has(ws)) return
+    this._websockets.add(ws)
+    ws.once('close', () => this.unsubscribe(ws))
+  }
+
+  /**
+   * @param {WebSocket} ws
+   */
+  unsubscribe(ws) {
+    this._websockets.delete(ws)
+  }
+
+  /**
+   * Send the notification to all subscribed websockets.
+   * @param {JsonCompatible} args The notification args.
+   * @returns {number} The number of websockets notified.
+   */
+  send(args = null) {
+    const data = JSON.stringify({
+      push: this.name,
+      args,
+    })
+
+    // JSON-RPC notification params must be structured (or omitted)
+    const jsonrpc_data = JSON.stringify({
+      jsonrpc: '2.0',
+      method: this.name,
+      params:
+        args == null ? undefined : typeof args == 'object' ? args : [args],
+    })
+
+    let sent_count = 0
+    for (let ws of this.websockets) {
+      if (ws.readyState != ws.OPEN) continue
+      ws.send(ws.protocol == STRATIS_JSONRPC_PROTOCOL ? jsonrpc_data : data)
+      sent_count += 1
+    }
+    return sent_count
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+    }
+  }
+}
+
 class StratisCodeObject {
   /**
    * A code object to be used in the file api environment.
    * @param {Object} param0
    * @param {any} param0.val
-   * @param {StratisCodeObjectTypeEnum } param0.type
+   * @param {StratisCodeObjectTypeEnum } param0.type The object type. If provided, API_METHOD objects
+   * are api only and TEMPLATE_ARG objects are render only. If null, auto detected and exposed to both.
    * @param {string} param0.name The name to use, (overrides module key)
+   * @param {[string]} param0.http_methods The http methods (verbs) allowed when called through the
+   * REST api. If null, all methods are allowed.
+   * @param {StratisSchema} param0.args_schema The api call args json schema. Args are validated
+   * and coerced before the api method is invoked.
+   * @param {StratisSchema} param0.returns_schema The api call return value json schema (used for
+   * documentation and typings only)
+   * @param {string} param0.description The object description. Defaults to the code file jsdoc summary.
    */
-  constructor({ val, type = null, name = null } = {}) {
+  constructor({
+    val,
+    type = null,
+    name = null,
+    http_methods = null,
+    args_schema = null,
+    returns_schema = null,
+    description = null,
+  } = {}) {
     this.name = name
+    this.description = description
+
+    /**
+     * The code file jsdoc comment for this object (if any). Set on load.
+     * @type {StratisJSDocComment}
+     */
+    this.jsdoc = null
     /**
      * The request object type
      * @type {StratisCodeObjectTypeEnum}
      */
     this.type = type || StratisCodeObject.auto_detect_type(val)
     this.val = val
+    this._is_explicit_type = type != null
+
+    /** @type {[string]} */
+    this.http_methods =
+      http_methods == null ? null : http_methods.map((m) => m.toUpperCase())
+
+    /** @type {StratisSchema} */
+    this.args_schema = args_schema
+
+    /** @type {StratisSchema} */
+    this.returns_schema = returns_schema
+
+    assert(
+      this.type != 'PUSH_NOTIFICATION' ||
+        val instanceof StratisPushNotification,
+      'A PUSH_NOTIFICATION code object value must be a StratisPushNotification'
+    )
+    assert(
+      this.type != 'REQUEST_HANDLER' || typeof val == 'function',
+      'A REQUEST_HANDLER code object value must be a function (req, res, next)=>{}'
+    )
+    assert(
+      this.type != 'WEBSOCKET_HOOK' || typeof val == 'function',
+      'A WEBSOCKET_HOOK code object value must be a function (context, ...args)=>{}'
+    )
+  }
+
+  /**
+   * The declared api call arg names (in order), from the args schema properties or the
+   * jsdoc param tags of the first parameter (e.g. args.value). Empty if not declared.
+   * @type {[string]}
+   */
+  get arg_names() {
+    if (this.args_schema != null)
+      return Object.keys(this.args_schema.properties || {})
+
+    const params = (this.jsdoc && this.jsdoc.params) || []
+    if (params.length == 0) return []
+    const prefix = params[0].name + '.'
+    return params
+      .filter(
+        (p) => p.name.startsWith(prefix) && !p.name.includes('.', prefix.length)
+      )
+      .map((p) => p.name.substring(prefix.length))
+  }
+
+  /**
+   * The http methods allowed for this object (Allow header). If null, all.
+   * @type {[string]}
+   */
+  get allowed_http_methods() {
+    if (this.http_methods == null) return null
+    if (
+      this.http_methods.includes('GET') &&
+      !this.http_methods.includes('HEAD')
+    )
+      return this.http_methods.concat(['HEAD'])
+    return this.http_methods
+  }
+
+  /**
+   * @param {string} http_method The http method (verb)
+   * @returns {boolean} True if the http method is allowed.
+   */
+  is_http_method_allowed(http_method) {
+    const allowed = this.allowed_http_methods
+    return allowed == null || allowed.includes(http_method.toUpperCase())
+  }
+
+  /**
+   * Validates and coerces the api call args using the args schema.
+   * @param {Object} args The api call args.
+   * @returns {Object} The coerced args.
+   */
+  validate_args(args) {
+    if (this.args_schema == null) return args
+    const { value, violations } = validate_schema(
+      args || {},
+      Object.assign({ type: 'object' }, this.args_schema)
+    )
+    if (violations.length > 0)
+      throw new StratisValidationError(
+        violations,
+        `Invalid arguments for '${this.name}'`
+      )
+    return value
+  }
+
+  /**
+   * If true, the object is exposed through the page api (REST, websocket and browser api).
+   */
+  get is_api_object() {
+    switch (this.type) {
+      case 'API_METHOD':
+        return true
+      case 'TEMPLATE_ARG':
+        return !this._is_explicit_type
+      default:
+        return false
+    }
+  }
+
+  /**
+   * If true, the object is exposed to the template rendering.
+   */
+  get is_render_object() {
+    switch (this.type) {
+      case 'IGNORE':
+      case 'WEBSOCKET_HOOK':
+        return false
+      case 'API_METHOD':
+        return !this._is_explicit_type
+      default:
+        return true
+    }
   }
 
   /**
    * @param {any} val
-   * @returns {"API_METHOD" | "TEMPLATE_ARG" | "IGNORE" }
+   * @returns {"API_METHOD" | "PUSH_NOTIFICATION" | "TEMPLATE_ARG" | "IGNORE" }
    */
   static auto_detect_type(val) {
+    if (val instanceof StratisPushNotification) return 'PUSH_NOTIFICATION'
     return typeof val == 'function' ? 'API_METHOD' : 'TEMPLATE_ARG'
   }
 
@@ -62,6 +412,8 @@ class StratisCodeModule {
     this._last_loaded = null
     /** @type {number} */
     this._last_code_filepath_change_ms = null
+    /** @type {boolean} The code file changed (reported by the bank watcher) */
+    this._invalidated = false
 
     /**
      * @type {[StratisCodeObject]}
@@ -72,6 +424,9 @@ class StratisCodeModule {
      * @type {Object}
      */
     this._module = {}
+
+    /** @type {Object<string,StratisJSDocComment>} */
+    this._jsdoc_comments = {}
   }
 
   /**
@@ -89,13 +444,23 @@ class StratisCodeModule {
     return this._module
   }
 
+  /**
+   * @param {string} name The code object name.
+   * @returns {StratisCodeObject} The code object or null if not found.
+   */
+  get_code_object(name) {
+    return this.code_objects.find((o) => o.name == name) || null
+  }
+
   /**
    * @returns {Object<string,StratisApiHandler>}
    */
   as_render_objects() {
     if (this._render_data == null) {
       this._render_data = {}
-      this.code_objects.forEach((o) => (this._render_data[o.name] = o.val))
+      this.code_objects
+        .filter((o) => o.is_render_object)
+        .forEach((o) => (this._render_data[o.name] = o.val))
     }
     return this._render_data
   }
@@ -107,36 +472,154 @@ class StratisCodeModule {
   as_api_objects() {
     if (this._api_invoke_dict == null) {
       this._api_invoke_dict = {}
-      this.code_objects.forEach((o) => (this._api_invoke_dict[o.name] = o.val))
+      this.code_objects
+        .filter((o) => o.is_api_object)
+        .forEach((o) => (this._api_invoke_dict[o.name] = o.val))
     }
     return this._api_invoke_dict
   }
 
   /**
+   * @returns {Object<string,StratisPushNotification>}
+   */
+  as_push_notifications() {
+    if (this._push_notifications == null) {
+      this._push_notifications = {}
+      this.code_objects
+        .filter((o) => o.type == 'PUSH_NOTIFICATION')
+        .forEach((o) => (this._push_notifications[o.name] = o.val))
+    }
+    return this._push_notifications
+  }
+
+  /**
+   * @returns {Object<string,StratisRequestHandler>}
+   */
+  as_request_handlers() {
+    if (this._request_handlers == null) {
+      this._request_handlers = {}
+      this.code_objects
+        .filter((o) => o.type == 'REQUEST_HANDLER')
+        .forEach((o) => (this._request_handlers[o.name] = o.val))
+    }
+    return this._request_handlers
+  }
+
+  /**
+   * @returns {Object<string,(context:StratisPageCallContext, ...args)=>any>} The websocket
+   * connection hooks, by name (see WEBSOCKET_HOOK_NAMES)
+   */
+  as_websocket_hooks() {
+    if (this._websocket_hooks == null) {
+      this._websocket_hooks = {}
+      this.code_objects
+        .filter((o) => o.type == 'WEBSOCKET_HOOK')
+        .forEach((o) => (this._websocket_hooks[o.name] = o.val))
+    }
+    return this._websocket_hooks
+  }
+
+  /**
+   * Mark the code file as changed. Reloaded on the next load (file watch mode).
+   */
+  invalidate() {
+    this._invalidated = true
+  }
+
+  /**
+   * Compile the code file module from its source, as a commonjs module (the source is read
+   * once, for both the module and the jsdoc comments). Uses the public vm and module apis,
+   * the module is not added to the require cache.
+   * @param {string} code_source The code file source.
+   * @returns {Object} The module exports.
+   */
+  _compile_module(code_source) {
+    const compiled = {
+      id: this.code_filepath,
+      filename: this.code_filepath,
+      exports: {},
+      loaded: false,
+    }
+
+    vm.compileFunction(
+      code_source,
+      ['exports', 'require', 'module', '__filename', '__dirname'],
+      { filename: this.code_filepath }
+    ).call(
+      compiled.exports,
+      compiled.exports,
+      createRequire(this.code_filepath),
+      compiled,
+      this.code_filepath,
+      path.dirname(this.code_filepath)
+    )
+
+    compiled.loaded = true
+    return compiled.exports
+  }
+
+  /**
+   * @param {string} code_source The code file source, or null if the code file does not exist.
+   */
+  _load_module(code_source) {
+    if (code_source == null) {
+      this._module = {}
+      this._jsdoc_comments = {}
+      return
+    }
+
+    this._module = this._compile_module(code_source)
+    assert(
+      typeof this.module == 'object',
+      'All template code files must return a dictionary.'
+    )
+    this._jsdoc_comments = parse_jsdoc_comments(code_source)
+  }
+
+  /**
+   * Load the code module if needed. If the bank has a file watcher, reloaded only when
+   * invalidated, otherwise when the file modified time changes (checked every reload interval).
    * @param {number} reload_interval The interval in which to reload the code module.
    * @returns {boolean} If true has been loaded. Otherwise cache was used.
    */
   async load(reload_interval = 1000) {
-    // checking if needs loading.
-    const elapsed_since_last_loaded =
-      this._last_loaded == null ? Infinity : new Date() - this._last_loaded
+    if (this.bank.watcher != null) {
+      if (this._last_loaded != null && !this._invalidated) return
+      // cleared before reading, a change reported while reading is not lost.
+      this._invalidated = false
 
-    // check skip reload check.
-    if (elapsed_since_last_loaded < reload_interval) return
+      let code_source = null
+      try {
+        code_source = await fs.promises.readFile(this.code_filepath, 'utf-8')
+        this._load_module(code_source)
+      } catch (err) {
+        if (err.code == 'ENOENT') this._load_module(null)
+        else {
+          // retry on the next load.
+          this._invalidated = true
+          throw err
+        }
+      }
+    } else {
+      // checking if needs loading.
+      const elapsed_since_last_loaded =
+        this._last_loaded == null ? Infinity : new Date() - this._last_loaded
 
-    const stats = await path_stat(this.code_filepath)
+      // check skip reload check.
+      if (elapsed_since_last_loaded < reload_interval) return
 
-    if (stats == null) {
-      this._module = {}
-      this._last_code_filepath_change_ms = null
-    } else if (stats.mtime != this._last_code_filepath_change_ms) {
-      this._last_code_filepath_change_ms = stats.mtime
-      delete require.cache[this.code_filepath]
-      this._module = require(this.code_filepath)
-      assert(
-        typeof this.module == 'object',
-        'All template code files must return a dictionary.'
-      )
+      const stats = await path_stat(this.code_filepath)
+
+      if (stats == null) {
+        this._load_module(null)
+        this._last_code_filepath_change_ms = null
+      } else if (stats.mtimeMs != this._last_code_filepath_change_ms) {
+        this._load_module(
+          await fs.promises.readFile(this.code_filepath, 'utf-8')
+        )
+        // recorded only when loaded, a failed load is retried on the next load.
+        this._last_code_filepath_change_ms = stats.mtimeMs
+      }
     }
 
     let code_objects = []
@@ -150,10 +633,35 @@ class StratisCodeModule {
         // assign the key as name if not defined.
         code_object.name = code_object.name || key
       }
+
+      assert(
+        code_object.type != 'WEBSOCKET_HOOK' ||
+          WEBSOCKET_HOOK_NAMES.includes(code_object.name),
+        `Unknown websocket hook ${code_object.name} in ${
+          this.code_filepath
+        }, expected one of ${WEBSOCKET_HOOK_NAMES.join(', ')}`
+      )
+
+      code_object.jsdoc = this._jsdoc_comments[key] || null
+      code_object.description =
+        code_object.description ||
+        (code_object.jsdoc && code_object.jsdoc.summary) ||
+        null
+
+      if (code_object.type == 'PUSH_NOTIFICATION') {
+        code_object.val.name = code_object.val.name || code_object.name
+        code_object.val.attach(
+          this.bank.get_push_subscriptions(this.code_filepath, code_object.name)
+        )
+      }
+
       code_objects.push(code_object)
     }
 
     this._api_invoke_dict = null
+    this._push_notifications = null
+    this._request_handlers = null
+    this._websocket_hooks = null
     this._render_data = null
     this._code_objects = code_objects
     this._last_loaded = new Date()
@@ -189,13 +697,63 @@ class StratisCodeModuleBank {
       interval,
       cleaning_interval,
       reset_cache_timestamp_on_get,
+      // expired files are no longer watched (polled), tracked again when loaded.
+      on_delete: (code_filepath) => {
+        if (this.watcher != null) this.watcher.untrack(code_filepath)
+      },
     })
+
+    /**
+     * If defined, the code modules are reloaded when the watcher reports a change (see invalidate),
+     * and the code files are not checked on load.
+     * @type {import('./watcher').StratisFileWatcher}
+     */
+    this.watcher = null
+
+    /**
+     * The push notification subscribed websockets, by code filepath and push notification name.
+     * Kept in the bank so the subscriptions survive code module reloads.
+     * @type {Map<string, Map<string, Set<WebSocket>>>}
+     */
+    this._push_subscriptions = new Map()
   }
 
   get cache() {
     return this._cache
   }
 
+  /**
+   * @param {string} code_filepath The code filepath.
+   * @param {string} name The push notification name.
+   * @returns {Set<WebSocket>} The websockets subscribed to the code file push notification.
+   */
+  get_push_subscriptions(code_filepath, name) {
+    code_filepath = path.resolve(code_filepath)
+    if (!this._push_subscriptions.has(code_filepath))
+      this._push_subscriptions.set(code_filepath, new Map())
+
+    const by_name = this._push_subscriptions.get(code_filepath)
+    if (!by_name.has(name)) by_name.set(name, new Set())
+    return by_name.get(name)
+  }
+
+  /**
+   * Subscribes a websocket to the code file push notifications. Removed when the websocket closes.
+   * @param {string} code_filepath The code filepath.
+   * @param {WebSocket} ws
+   */
+  async subscribe_push_notifications(code_filepath, ws) {
+    const code_module = await this.load(code_filepath)
+    const subscriptions = Object.keys(code_module.as_push_notifications()).map(
+      (name) => this.get_push_subscriptions(code_filepath, name)
+    )
+
+    for (let websockets of subscriptions) websockets.add(ws)
+    ws.once('close', () => {
+      for (let websockets of subscriptions) websockets.delete(ws)
+    })
+  }
+
   /**
    * Returns a code module from a code_filepath path.
    * @param {string} code_filepath The module filepath.
@@ -203,6 +761,7 @@ class StratisCodeModuleBank {
    * @returns {StratisCodeModule} The code module.
    */
   async load(code_filepath, no_cache = false) {
+    code_filepath = path.resolve(code_filepath)
     /**
      * @type {StratisCodeModule}
      */
@@ -210,17 +769,32 @@ class StratisCodeModuleBank {
     if (code_module == null) {
       code_module = new StratisCodeModule(this, code_filepath)
       this.cache.set(code_filepath, code_module)
+      if (this.watcher != null) this.watcher.track(code_filepath)
     }
 
     await code_module.load(this.reload_module_interval)
     return code_module
   }
+
+  /**
+   * Reload the cached code module on the next load (the code file changed).
+   * @param {string} code_filepath
+   * @returns {boolean} True if the code module was cached.
+   */
+  invalidate(code_filepath) {
+    /** @type {StratisCodeModule} */
+    const code_module = this.cache.get(code_filepath)
+    if (code_module == null) return false
+    code_module.invalidate()
+    return true
+  }
 }
 
 module.exports = {
   StratisCodeModule,
   StratisCodeModuleBank,
   StratisCodeObject,
+  StratisPushNotification,
   /** @type {StratisCodeObjectTypeEnum} */
   StratisCodeObjectTypeEnum: {},
 }
@@ -0,0 +1,110 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const events = require('events')
+const { assert } = require('../common')
+const { StratisCodeModuleBank } = require('./code')
+
+class TestWebSocket extends events.EventEmitter {
+  constructor() {
+    super()
+    this.OPEN = 1
+    this.readyState = this.OPEN
+    this.protocol = ''
+    this.sent = []
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data))
+  }
+}
+
+/**
+ * @param {string} code_filepath
+ * @param {number} version
+ */
+function write_code_file(code_filepath, version) {
+  fs.writeFileSync(
+    code_filepath,
+    `const { StratisPushNotification } = require(${JSON.stringify(
+      require.resolve('./code')
+    )})
+module.exports = {
+  version: ${version},
+  tick: new StratisPushNotification(),
+}
+`
+  )
+  // make sure the modified time changes.
+  const mtime = new Date(Date.now() + version * 1000)
+  fs.utimesSync(code_filepath, mtime, mtime)
+}
+
+async function test_push_notifications_survive_reload() {
+  const code_filepath = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), 'stratis-code-test-')),
+    'page.code.js'
+  )
+  const bank = new StratisCodeModuleBank(null, { reload_module_interval: 0 })
+  const ws = new TestWebSocket()
+
+  write_code_file(code_filepath, 1)
+  await bank.subscribe_push_notifications(code_filepath, ws)
+  const first = (await bank.load(code_filepath)).as_push_notifications().tick
+  assert(first.send('before') == 1, 'Push notification not sent')
+
+  // reload the code module.
+  write_code_file(code_filepath, 2)
+  const code_module = await bank.load(code_filepath)
+  assert(code_module.as_render_objects().version == 2, 'Code file not reloaded')
+
+  const reloaded = code_module.as_push_notifications().tick
+  assert(reloaded !== first, 'Expected a new push notification instance')
+  assert(reloaded.send('after') == 1, 'Push notification lost on reload')
+
+  ws.emit('close')
+  assert(reloaded.send('closed') == 0, 'Closed websocket still subscribed')
+
+  assert(
+    ws.sent.map((p) => p.args).join(',') == 'before,after',
+    'Unexpected push notifications: ' + JSON.stringify(ws.sent)
+  )
+
+  fs.rmSync(path.dirname(code_filepath), { recursive: true })
+}
+
+async function test_failed_load_is_retried() {
+  const code_filepath = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), 'stratis-code-test-')),
+    'page.code.js'
+  )
+  const bank = new StratisCodeModuleBank(null, { reload_module_interval: 0 })
+
+  fs.writeFileSync(code_filepath, 'module.exports = {')
+  for (let i = 0; i < 2; i++) {
+    let error = null
+    try {
+      await bank.load(code_filepath)
+    } catch (err) {
+      error = err
+    }
+    assert(error instanceof SyntaxError, `Load ${i} did not fail`)
+  }
+
+  write_code_file(code_filepath, 1)
+  const code_module = await bank.load(code_filepath)
+  assert(code_module.as_render_objects().version == 1, 'Code file not loaded')
+
+  fs.rmSync(path.dirname(code_filepath), { recursive: true })
+}
+
+async function main() {
+  await test_push_notifications_survive_reload()
+  await test_failed_load_is_retried()
+  console.log('OK')
+}
+
+main().catch((err) => {
+  console.error(err)
+  process.exit(1)
+})
@@ -0,0 +1,213 @@
+const WebSocket = require('ws')
+const { create_uuid } = require('../common')
+
+/**
+ * @typedef {import('./requests').StratisRequest} StratisRequest
+ */
+
+/**
+ * @param {StratisRequest} stratis_request The connection (upgrade) request.
+ * @returns {string} The connection client key, by the request user (username or id) or the
+ * client ip.
+ */
+function get_websocket_client_key(stratis_request) {
+  const user = stratis_request.user
+  if (user != null && typeof user == 'object') {
+    const user_id = user.username || user.id || user.email
+    if (user_id != null) return `user:${user_id}`
+  }
+  const req = stratis_request.request
+  return `ip:${req.ip || (req.socket && req.socket.remoteAddress)}`
+}
+
+class StratisWebSocketConnection {
+  /**
+   * A page api websocket connection. Persists across the connection messages,
+   * and is available to the call context as context.connection.
+   * @param {Object} param0
+   * @param {WebSocket} param0.ws The websocket.
+   * @param {StratisRequest} param0.stratis_request The connection (upgrade) request.
+   * @param {string} param0.client_key The connection client key (for connection limits)
+   */
+  constructor({ ws, stratis_request, client_key = null }) {
+    this.id = create_uuid()
+    this.ws = ws
+    this.stratis_request = stratis_request
+    this.client_key = client_key
+    this.connected_at = new Date()
+    this.last_message_at = this.connected_at
+
+    /**
+     * The connection state. Persists across the connection messages (e.g. per tab subscriptions)
+     * @type {Object<string,any>}
+     */
+    this.state = {}
+
+    /**
+     * Resolves to true when the connection is ready (the on_connect hook completed), or
+     * to false if the connection was rejected.
+     * @type {Promise<boolean>}
+     */
+    this.ready = Promise.resolve(true)
+
+    this._is_alive = true
+    this._heartbeat_interval_id = null
+    this._idle_timeout_id = null
+    this._idle_timeout = 0
+    this._rate_window_start = 0
+    this._rate_window_count = 0
+  }
+
+  get is_open() {
+    return this.ws.readyState == WebSocket.OPEN
+  }
+
+  /**
+   * Start the ping/pong heartbeat and the idle timeout. Stopped when the websocket closes.
+   * @param {Object} param0
+   * @param {number} param0.heartbeat_interval The ping interval [ms]. If a pong was not received
+   * since the last ping, the connection is half open and is terminated. If 0, no heartbeat.
+   * @param {number} param0.idle_timeout Close the connection if no message was received for
+   * this long [ms]. If 0, no idle timeout.
+   */
+  start_keepalive({ heartbeat_interval = 0, idle_timeout = 0 } = {}) {
+    if (heartbeat_interval > 0) {
+      this.ws.on('pong', () => (this._is_alive = true))
+      this._heartbeat_interval_id = setInterval(() => {
+        if (!this._is_alive) return this.ws.terminate()
+        this._is_alive = false
+        if (this.is_open) this.ws.ping()
+      }, heartbeat_interval)
+    }
+
+    this._idle_timeout = idle_timeout
+    this.touch()
+
+    this.ws.once('close', () => this.stop_keepalive())
+  }
+
+  stop_keepalive() {
+    clearInterval(this._heartbeat_interval_id)
+    clearTimeout(this._idle_timeout_id)
+    this._heartbeat_interval_id = null
+    this._idle_timeout_id = null
+  }
+
+  /**
+   * Mark the connection as active (a message was received). Resets the idle timeout.
+   */
+  touch() {
+    this.last_message_at = new Date()
+    if (!(this._idle_timeout > 0)) return
+    clearTimeout(this._idle_timeout_id)
+    this._idle_timeout_id = setTimeout(
+      () => this.ws.close(1000, 'Idle timeout'),
+      this._idle_timeout
+    )
+  }
+
+  /**
+   * Count a received message against the message rate limit (fixed window).
+   * @param {number} limit The max number of messages per interval. If 0, no limit.
+   * @param {number} interval The rate interval [ms]
+   * @returns {boolean} False if the rate limit was exceeded.
+   */
+  count_message(limit, interval) {
+    if (!(limit > 0)) return true
+    const now = Date.now()
+    if (now - this._rate_window_start >= interval) {
+      this._rate_window_start = now
+      this._rate_window_count = 0
+    }
+    this._rate_window_count += 1
+    return this._rate_window_count <= limit
+  }
+}
+
+class StratisWebSocketConnections {
+  /**
+   * The open page api websocket connections, by client key.
+   */
+  constructor() {
+    /** @type {Map<string, Set<StratisWebSocketConnection>>} */
+    this._by_client_key = new Map()
+    /**
+     * The number of reserved (upgrading) connections, by client key.
+     * @type {Map<string, number>}
+     */
+    this._reserved = new Map()
+    this._size = 0
+  }
+
+  /**
+   * The number of open connections.
+   */
+  get size() {
+    return this._size
+  }
+
+  /**
+   * @param {string} client_key
+   * @returns {number} The number of open and reserved connections for the client.
+   */
+  count(client_key) {
+    const connections = this._by_client_key.get(client_key)
+    return (
+      (connections == null ? 0 : connections.size) +
+      (this._reserved.get(client_key) || 0)
+    )
+  }
+
+  /**
+   * Reserve a connection slot for the client while the websocket upgrades, so
+   * concurrent upgrades are counted against the client connection limit.
+   * @param {string} client_key
+   * @returns {()=>void} Releases the reservation. Can be called more than once.
+   */
+  reserve(client_key) {
+    this._reserved.set(client_key, (this._reserved.get(client_key) || 0) + 1)
+    let released = false
+    return () => {
+      if (released) return
+      released = true
+      const reserved = this._reserved.get(client_key) - 1
+      if (reserved > 0) this._reserved.set(client_key, reserved)
+      else this._reserved.delete(client_key)
+    }
+  }
+
+  /**
+   * Add a connection. Removed when the websocket closes.
+   * @param {StratisWebSocketConnection} connection
+   */
+  add(connection) {
+    if (!this._by_client_key.has(connection.client_key))
+      this._by_client_key.set(connection.client_key, new Set())
+    const connections = this._by_client_key.get(connection.client_key)
+    if (connections.has(connection)) return
+
+    connections.add(connection)
+    this._size += 1
+    connection.ws.once('close', () => this.delete(connection))
+  }
+
+  /**
+   * @param {StratisWebSocketConnection} connection
+   */
+  delete(connection) {
+    const connections = this._by_client_key.get(connection.client_key)
+    if (connections == null || !connections.delete(connection)) return
+    this._size -= 1
+    if (connections.size == 0) this._by_client_key.delete(connection.client_key)
+  }
+
+  *[Symbol.iterator]() {
+    for (let connections of this._by_client_key.values()) yield* connections
+  }
+}
+
+module.exports = {
+  get_websocket_client_key,
+  StratisWebSocketConnection,
+  StratisWebSocketConnections,
+}
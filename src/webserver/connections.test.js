@@ -0,0 +1,162 @@
+const WebSocket = require('ws')
+const { EventEmitter } = require('events')
+const { assert } = require('../common')
+const {
+  get_websocket_client_key,
+  StratisWebSocketConnection,
+  StratisWebSocketConnections,
+} = require('./connections')
+
+class FakeWebSocket extends EventEmitter {
+  /**
+   * A websocket stand in that records the pings, closes and terminations.
+   * @param {boolean} answer_pings If true, pings are answered with a pong.
+   */
+  constructor(answer_pings = true) {
+    super()
+    this.readyState = WebSocket.OPEN
+    this.answer_pings = answer_pings
+    this.pings = 0
+    this.close_reason = null
+    this.terminated = false
+  }
+
+  ping() {
+    this.pings += 1
+    if (this.answer_pings) setImmediate(() => this.emit('pong'))
+  }
+
+  close(code, reason) {
+    this.close_reason = reason
+    this._closed()
+  }
+
+  terminate() {
+    this.terminated = true
+    this._closed()
+  }
+
+  _closed() {
+    if (this.readyState == WebSocket.CLOSED) return
+    this.readyState = WebSocket.CLOSED
+    this.emit('close')
+  }
+}
+
+/**
+ * @param {string} client_key
+ * @param {FakeWebSocket} ws
+ */
+function create_connection(client_key, ws = new FakeWebSocket()) {
+  return new StratisWebSocketConnection({
+    ws,
+    stratis_request: null,
+    client_key,
+  })
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+function test_client_key() {
+  const key = (user, ip = '10.0.0.1') =>
+    get_websocket_client_key({ user, request: { ip } })
+  assert(key({ username: 'ann' }) == 'user:ann', 'Expected a username key')
+  assert(key({ id: 7 }) == 'user:7', 'Expected a user id key')
+  assert(key({}) == 'ip:10.0.0.1', 'Expected an ip key for a user with no id')
+  assert(key(null) == 'ip:10.0.0.1', 'Expected an ip key')
+}
+
+function test_reservation_release_is_idempotent() {
+  const connections = new StratisWebSocketConnections()
+  const release_a = connections.reserve('ann')
+  const release_b = connections.reserve('ann')
+  assert(connections.count('ann') == 2, 'Reservations were not counted')
+  assert(connections.size == 0, 'Reservations are not open connections')
+
+  release_a()
+  release_a()
+  release_a()
+  assert(
+    connections.count('ann') == 1,
+    'Releasing twice released another reservation'
+  )
+
+  release_b()
+  release_b()
+  assert(connections.count('ann') == 0, 'Reservations were not released')
+  assert(!connections._reserved.has('ann'), 'Released client key was kept')
+}
+
+function test_connections_are_counted_until_closed() {
+  const connections = new StratisWebSocketConnections()
+  const release = connections.reserve('ann')
+  const ann = create_connection('ann')
+  connections.add(ann)
+  connections.add(ann)
+  release()
+  connections.add(create_connection('bob'))
+
+  assert(connections.size == 2, 'Expected 2 open connections')
+  assert(connections.count('ann') == 1, 'Connection was counted twice')
+  assert([...connections].length == 2, 'Expected to iterate 2 connections')
+
+  ann.ws.close(1000, 'done')
+  assert(connections.count('ann') == 0, 'Closed connection was not removed')
+  assert(connections.size == 1, 'Expected 1 open connection')
+  connections.delete(ann)
+  assert(connections.size == 1, 'Deleting twice changed the size')
+}
+
+async function test_message_rate_limit() {
+  const connection = create_connection('ann')
+  for (let i = 0; i < 3; i++)
+    assert(connection.count_message(3, 100), `Message ${i} was rate limited`)
+  assert(!connection.count_message(3, 100), 'Rate limit was not applied')
+
+  await sleep(120)
+  assert(connection.count_message(3, 100), 'Rate window was not reset')
+
+  for (let i = 0; i < 10; i++)
+    assert(connection.count_message(0, 100), 'A 0 limit is no limit')
+}
+
+async function test_keepalive() {
+  const alive = create_connection('ann')
+  alive.start_keepalive({ heartbeat_interval: 20 })
+  await sleep(100)
+  assert(alive.ws.pings > 1, 'No heartbeat pings were sent')
+  assert(!alive.ws.terminated, 'A responsive connection was terminated')
+  alive.ws.close(1000, 'done')
+
+  const half_open = create_connection('ann', new FakeWebSocket(false))
+  half_open.start_keepalive({ heartbeat_interval: 20 })
+  await sleep(100)
+  assert(half_open.ws.terminated, 'A half open connection was not terminated')
+
+  const idle = create_connection('ann')
+  idle.start_keepalive({ idle_timeout: 60 })
+  await sleep(40)
+  idle.touch()
+  await sleep(40)
+  assert(idle.ws.close_reason == null, 'A message did not reset idle timeout')
+  await sleep(60)
+  assert(idle.ws.close_reason == 'Idle timeout', 'Idle connection not closed')
+  assert(
+    idle._idle_timeout_id == null && idle._heartbeat_interval_id == null,
+    'Keepalive timers were not stopped on close'
+  )
+}
+
+async function main() {
+  test_client_key()
+  test_reservation_release_is_idempotent()
+  test_connections_are_counted_until_closed()
+  await test_message_rate_limit()
+  await test_keepalive()
+  console.log('OK')
+}
+
+main().catch((err) => {
+  console.error(err)
+  process.exit(1)
+})
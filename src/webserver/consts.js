@@ -13,6 +13,8 @@ const DEFAULT_LOGGING_OPTIONS = {
 const DEFAULT_PAGE_OPTIONS = {
   page_extensions: ['.html', '.htm', '.css', '.json', '.yaml'],
   timeout: 1000 * 60,
+  sse_keepalive_interval: 1000 * 15,
+  error_page_templates: ['[status].html', 'error.html'],
 }
 
 /**
@@ -44,6 +46,54 @@ const DEFAULT_MIDDLEWARE_OPTIONS = {}
 const DEFAULT_CLIENT_API_OPTIONS = {
   api_code_path: path.join(__dirname, 'clientside.js'),
   timeout: 1000 * 60,
+  reconnect_min_delay: 500,
+  reconnect_max_delay: 1000 * 30,
+  transport: 'auto',
+  websocket_connect_timeout: 1000 * 10,
+}
+
+/**
+ * The api name of the batch call endpoint, e.g. POST [page]/stratis_batch
+ */
+const STRATIS_BATCH_API_NAME = 'stratis_batch'
+
+/**
+ * The api name of the JSON-RPC 2.0 http endpoint, e.g. POST [page]/stratis_jsonrpc
+ */
+const STRATIS_JSONRPC_API_NAME = 'stratis_jsonrpc'
+
+/**
+ * The websocket subprotocol for JSON-RPC 2.0 page api connections.
+ */
+const STRATIS_JSONRPC_PROTOCOL = 'jsonrpc-2.0'
+
+/**
+ * @type {import('./stratis').StratisWebSocketOptions} The websocket options
+ */
+const DEFAULT_WEBSOCKET_OPTIONS = {
+  heartbeat_interval: 1000 * 30,
+  idle_timeout: 0,
+  max_connections_per_client: 0,
+  message_rate_limit: 0,
+  message_rate_interval: 1000,
+  get_client_key: null,
+}
+
+/**
+ * @type {import('./stratis').StratisLiveReloadOptions} The live reload options
+ */
+const DEFAULT_LIVE_RELOAD_OPTIONS = {
+  enabled: false,
+}
+
+/**
+ * @type {import('./stratis').StratisFileWatchOptions} The file watch options
+ */
+const DEFAULT_FILE_WATCH_OPTIONS = {
+  enabled: false,
+  mode: 'auto',
+  poll_interval: 1000,
+  debounce: 100,
 }
 
 /**
@@ -52,6 +102,9 @@ const DEFAULT_CLIENT_API_OPTIONS = {
 const DEFAULT_CODE_MODULE_BANK_OPTIONS = {}
 
 module.exports = {
+  STRATIS_BATCH_API_NAME,
+  STRATIS_JSONRPC_API_NAME,
+  STRATIS_JSONRPC_PROTOCOL,
   DEFAULT_PAGE_OPTIONS,
   DEFAULT_LOGGING_OPTIONS,
   DEFAULT_SESSION_OPTIONS,
@@ -60,4 +113,7 @@ module.exports = {
   DEFAULT_TEMPLATE_BANK_OPTIONS,
   DEFAULT_CODE_MODULE_BANK_OPTIONS,
   DEFAULT_CLIENT_API_OPTIONS,
+  DEFAULT_WEBSOCKET_OPTIONS,
+  DEFAULT_LIVE_RELOAD_OPTIONS,
+  DEFAULT_FILE_WATCH_OPTIONS,
 }
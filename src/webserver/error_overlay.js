@@ -0,0 +1,176 @@
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * @typedef {import('./requests').StratisRequest} StratisRequest
+ * @typedef {import('./interfaces').StratisErrorObject} StratisErrorObject
+ * @typedef {import('./templates').StratisTemplateErrorFrame} StratisTemplateErrorFrame
+ */
+
+/**
+ * @typedef {Object} StratisErrorSourceLine
+ * @property {number} number The line number (1 based)
+ * @property {string} text The line text.
+ * @property {boolean} is_error_line If true, this is the failing line.
+ */
+
+/**
+ * @typedef {Object} StratisErrorSource
+ * @property {'template'|'code'} type The source file type.
+ * @property {string} filepath The source filepath.
+ * @property {number} line The failing line (1 based). Null if unknown.
+ * @property {number} column The failing column (1 based). Null if unknown.
+ * @property {[StratisErrorSourceLine]} snippet The lines around the failing line.
+ */
+
+/**
+ * @typedef {Object} StratisErrorOverlayData
+ * @property {StratisErrorObject} error The error object.
+ * @property {string} name The error class name.
+ * @property {string} stack The error stack trace.
+ * @property {StratisErrorSource} source The failing template or code file, if found.
+ * @property {[StratisTemplateErrorFrame]} include_chain The template include chain, from the
+ * failing template out to the page template.
+ * @property {Object<string,string>} request The request details.
+ * @property {[[string,string]]} headers The request headers.
+ */
+
+/**
+ * The dev mode error overlay page template.
+ */
+const ERROR_OVERLAY_TEMPLATE_PATH = path.join(__dirname, 'error_overlay.html')
+
+/**
+ * Request headers that are never shown in the error overlay.
+ */
+const ERROR_OVERLAY_HIDDEN_HEADERS = new Set([
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+])
+
+/**
+ * @param {string} filepath
+ * @param {number} line The line to show (1 based)
+ * @param {number} context_lines The number of lines to show before and after.
+ * @returns {Promise<[StratisErrorSourceLine]>} The source lines around the line.
+ */
+async function read_source_snippet(filepath, line, context_lines = 5) {
+  let lines = null
+  try {
+    lines = (await fs.promises.readFile(filepath, 'utf-8')).split('\n')
+  } catch (err) {
+    return []
+  }
+  if (lines.length > 1 && lines[lines.length - 1] == '') lines.pop()
+
+  line = line || 1
+  const start = Math.max(line - context_lines, 1)
+  const end = Math.min(line + context_lines, lines.length)
+  const snippet = []
+  for (let number = start; number <= end; number++)
+    snippet.push({
+      number,
+      text: lines[number - 1],
+      is_error_line: number == line,
+    })
+  return snippet
+}
+
+/**
+ * Find the first (deepest) stack location in a code file in the serve path.
+ * Stops at the first template frame (the template is the failing source).
+ * @param {Error} err
+ * @param {string} serve_path
+ * @returns {{filepath:string, line:number, column:number}} The location or null.
+ */
+function find_code_location(err, serve_path) {
+  const stack = `${err.stack || ''}`
+  const is_in_serve_path = (filepath) =>
+    path.isAbsolute(filepath) &&
+    !path.relative(serve_path, filepath).startsWith('..') &&
+    !filepath.includes(`${path.sep}node_modules${path.sep}`)
+
+  // syntax errors (code file load) are reported as [filepath]:[line] on the first stack line.
+  if (err instanceof SyntaxError) {
+    const match = /^([^\n]+):(\d+)\n/.exec(stack)
+    if (match != null && is_in_serve_path(match[1]))
+      return { filepath: match[1], line: parseInt(match[2]), column: null }
+  }
+
+  for (let frame of stack.split('\n')) {
+    frame = frame.trim()
+    if (!frame.startsWith('at ')) continue
+    // template (compiled) frames are named by the quoted template filepath.
+    if (frame.includes('"')) return null
+    const match = /\(?([^\s()]+):(\d+):(\d+)\)?$/.exec(frame)
+    if (match == null || !is_in_serve_path(match[1])) continue
+    return {
+      filepath: match[1],
+      line: parseInt(match[2]),
+      column: parseInt(match[3]),
+    }
+  }
+
+  return null
+}
+
+/**
+ * @param {Error} err The error
+ * @param {string} serve_path The serve path (code files are searched in the serve path)
+ * @returns {Promise<StratisErrorSource>} The failing template or code file source, if found.
+ */
+async function get_error_source(err, serve_path) {
+  const template_frames = err.template_frames || []
+  const code_location =
+    serve_path == null ? null : find_code_location(err, serve_path)
+
+  let source = null
+  if (code_location != null) source = { type: 'code', ...code_location }
+  else if (template_frames.length > 0)
+    source = { type: 'template', ...template_frames[0] }
+  if (source == null) return null
+
+  source.snippet =
+    source.line == null
+      ? []
+      : await read_source_snippet(source.filepath, source.line)
+  return source
+}
+
+/**
+ * Collect the error overlay render data.
+ * @param {Error} err The original error
+ * @param {StratisErrorObject} error The error object (sent to the client)
+ * @param {StratisRequest} stratis_request The request.
+ * @returns {Promise<StratisErrorOverlayData>}
+ */
+async function create_error_overlay_data(err, error, stratis_request) {
+  const req = stratis_request.request
+  return {
+    error,
+    name: (err.constructor && err.constructor.name) || 'Error',
+    stack: `${err.stack || err}`,
+    source: await get_error_source(err, stratis_request.serve_path),
+    include_chain: err.template_frames || [],
+    request: {
+      method: req.method,
+      url: req.originalUrl || req.url,
+      request_id: error.request_id,
+      status: error.status,
+      filepath: stratis_request.filepath,
+      codepath: stratis_request.codepath,
+    },
+    headers: Object.entries(req.headers || {}).map(([key, val]) => [
+      key,
+      ERROR_OVERLAY_HIDDEN_HEADERS.has(key) ? '[hidden]' : `${val}`,
+    ]),
+  }
+}
+
+module.exports = {
+  ERROR_OVERLAY_TEMPLATE_PATH,
+  create_error_overlay_data,
+  get_error_source,
+  read_source_snippet,
+}
@@ -34,11 +34,39 @@
  * @typedef {(args:{}|string, context: StratisPageCallContext)=>JsonCompatible|string|number|Object} StratisApiHandler
  */
 
+/**
+ * @typedef {(req:StratisExpressRequest, res:StratisExpressResponse, next:NextFunction)=>any} StratisRequestHandler
+ */
+
 /**
  * @typedef {Object} StratisApiWebSocketRequestArgs
  * @property {string} rid The request id.
  * @property {string} name The api method to invoke.
  * @property {Object} args The api method arguments.
+ * @property {[[string|number]]} binary The args paths of the uploaded binary values, in the order
+ * of the binary frames that follow (e.g. [['file'], ['images', 0]]). Binary values are set as Buffers.
+ * @property {[StratisApiBatchCall]} batch The batch calls (replaces name and args), see StratisApiBatchCall.
+ */
+
+/**
+ * @typedef {Object} StratisApiBatchCall
+ * @property {string} name The api method to invoke.
+ * @property {Object} args The api method arguments.
+ */
+
+/**
+ * @typedef {Object} StratisErrorObject
+ * @property {string} code The stable error code (e.g. not_found, validation_error, internal_error)
+ * @property {number} status The http status code.
+ * @property {string} message The error message (or stack trace, if returned to the client)
+ * @property {any} details The error details, if any (e.g. validation violations)
+ * @property {string} request_id The server request id (X-Request-Id), for the error logs.
+ */
+
+/**
+ * @typedef {Object} StratisApiBatchCallResult
+ * @property {any} response The call response (if no error)
+ * @property {StratisErrorObject} error The call error, if any.
  */
 
 /**
@@ -80,6 +108,8 @@ module.exports = {
   StratisEventListenRegister: () => {},
   /** @type {StratisApiHandler} */
   StratisApiHandler: () => {},
+  /** @type {StratisRequestHandler} */
+  StratisRequestHandler: () => {},
   /** @type {JsonCompatible} */
   JsonCompatible: {},
   /** @type {StratisExpressRequest} **/
@@ -0,0 +1,267 @@
+const { Readable } = require('stream')
+const { stream_to_buffer } = require('../utils/streams')
+const { StratisParseError, StratisValidationError } = require('../errors')
+
+/**
+ * @typedef {import('./interfaces').StratisErrorObject} StratisErrorObject
+ */
+
+/**
+ * @typedef {Object} StratisJsonRpcError
+ * @property {number} code The JSON-RPC error code.
+ * @property {string} message The error message.
+ * @property {StratisErrorObject} data The stratis error object (code, status, details and request id)
+ */
+
+/**
+ * @typedef {Object} StratisJsonRpcResponse
+ * @property {'2.0'} jsonrpc
+ * @property {string|number} id The request id (null if could not be read)
+ * @property {any} result The call result (if no error)
+ * @property {StratisJsonRpcError} error The call error, if any.
+ */
+
+/**
+ * @typedef {(method:string, args:Object)=>Promise<any>} StratisJsonRpcInvoker
+ * @typedef {(err:Error)=>StratisErrorObject} StratisJsonRpcErrorRenderer
+ * @typedef {(method:string)=>Promise<[string]>} StratisJsonRpcArgNamesResolver Returns the method
+ * declared arg names (in order), or null if the method was not found.
+ */
+
+/**
+ * The JSON-RPC 2.0 error codes (https://www.jsonrpc.org/specification#error_object)
+ */
+const JSONRPC_ERROR_CODES = {
+  parse_error: -32700,
+  invalid_request: -32600,
+  method_not_found: -32601,
+  invalid_params: -32602,
+  internal_error: -32603,
+  server_error: -32000,
+}
+
+class StratisJsonRpcInvalidRequestError extends StratisValidationError {
+  /**
+   * @param {string} message The error message.
+   */
+  constructor(message) {
+    super([], message)
+  }
+
+  get error_code() {
+    return 'invalid_request'
+  }
+
+  get details() {
+    return null
+  }
+}
+
+/**
+ * @param {Error} err The error.
+ * @returns {number} The JSON-RPC error code for the error, by the stratis error http status code.
+ */
+function get_jsonrpc_error_code(err) {
+  if (err instanceof StratisParseError) return JSONRPC_ERROR_CODES.parse_error
+  if (err instanceof StratisJsonRpcInvalidRequestError)
+    return JSONRPC_ERROR_CODES.invalid_request
+
+  switch (err.http_response_code || 500) {
+    case 400:
+      return JSONRPC_ERROR_CODES.invalid_params
+    case 404:
+      return JSONRPC_ERROR_CODES.method_not_found
+    case 500:
+      return JSONRPC_ERROR_CODES.internal_error
+    default:
+      return JSONRPC_ERROR_CODES.server_error
+  }
+}
+
+/**
+ * @param {string|number} id The request id.
+ * @param {Error} err The error.
+ * @param {StratisJsonRpcErrorRenderer} render_error Renders the error object.
+ * @returns {StratisJsonRpcResponse}
+ */
+function to_jsonrpc_error_response(id, err, render_error) {
+  const error = render_error(err)
+  return {
+    jsonrpc: '2.0',
+    id: id === undefined ? null : id,
+    error: {
+      code: get_jsonrpc_error_code(err),
+      message: error.message,
+      data: error,
+    },
+  }
+}
+
+/**
+ * @param {any} params The JSON-RPC params.
+ * @param {()=>Promise<[string]>} get_arg_names Returns the method declared arg names (in order),
+ * or null if the method was not found.
+ * @returns {Promise<Object>} The api call args. Positional params are accepted as [{args}], or
+ * mapped by position onto the method declared arg names.
+ */
+async function jsonrpc_params_to_args(params, get_arg_names) {
+  if (params == null) return {}
+  if (!Array.isArray(params)) return params
+  if (params.length == 0) return {}
+  if (
+    params.length == 1 &&
+    params[0] != null &&
+    typeof params[0] == 'object' &&
+    !Array.isArray(params[0])
+  )
+    return params[0]
+
+  const arg_names = await get_arg_names()
+  // unknown methods are reported by the invoke.
+  if (arg_names == null) return {}
+
+  if (params.length > arg_names.length)
+    throw new StratisValidationError(
+      [
+        {
+          path: 'params',
+          message:
+            arg_names.length == 0
+              ? 'Positional params require the method args to be declared (args_schema or jsdoc @param args.[name])'
+              : `Expected at most ${
+                  arg_names.length
+                } positional params (${arg_names.join(', ')})`,
+        },
+      ],
+      'Invalid params'
+    )
+
+  const args = {}
+  params.forEach((val, idx) => (args[arg_names[idx]] = val))
+  return args
+}
+
+/**
+ * @param {any} request The JSON-RPC request.
+ * @param {StratisJsonRpcInvoker} invoke Invokes an api method.
+ * @param {StratisJsonRpcErrorRenderer} render_error Renders the error object.
+ * @param {StratisJsonRpcArgNamesResolver} get_arg_names Resolves the method arg names (positional params)
+ * @returns {Promise<StratisJsonRpcResponse>} The response, or null for notifications.
+ */
+async function invoke_jsonrpc_request(
+  request,
+  invoke,
+  render_error,
+  get_arg_names
+) {
+  const is_object =
+    request != null && typeof request == 'object' && !Array.isArray(request)
+  const id =
+    is_object && ['string', 'number'].includes(typeof request.id)
+      ? request.id
+      : null
+
+  if (
+    !is_object ||
+    request.jsonrpc !== '2.0' ||
+    typeof request.method != 'string' ||
+    (request.params != null && typeof request.params != 'object') ||
+    (request.id != null && id == null)
+  )
+    return to_jsonrpc_error_response(
+      id,
+      new StratisJsonRpcInvalidRequestError('Invalid Request'),
+      render_error
+    )
+
+  const is_notification = !('id' in request)
+
+  try {
+    let result = await invoke(
+      request.method,
+      await jsonrpc_params_to_args(request.params, () =>
+        get_arg_names(request.method)
+      )
+    )
+
+    if (result instanceof Readable) {
+      result.destroy()
+      throw new Error('Streamed results are not supported over JSON-RPC')
+    }
+
+    if (is_notification) return null
+    return { jsonrpc: '2.0', id, result: result === undefined ? null : result }
+  } catch (err) {
+    if (is_notification) return null
+    return to_jsonrpc_error_response(id, err, render_error)
+  }
+}
+
+/**
+ * Invoke a JSON-RPC 2.0 payload (a request, notification or batch). Batch requests
+ * run concurrently.
+ * @param {any} payload The parsed JSON-RPC payload.
+ * @param {StratisJsonRpcInvoker} invoke Invokes an api method.
+ * @param {StratisJsonRpcErrorRenderer} render_error Renders the error object.
+ * @param {StratisJsonRpcArgNamesResolver} get_arg_names Resolves the method arg names (positional params)
+ * @returns {Promise<StratisJsonRpcResponse|[StratisJsonRpcResponse]>} The response(s), or
+ * null if there is nothing to respond with (notifications only)
+ */
+async function invoke_jsonrpc_payload(
+  payload,
+  invoke,
+  render_error,
+  get_arg_names = async () => []
+) {
+  if (!Array.isArray(payload))
+    return await invoke_jsonrpc_request(
+      payload,
+      invoke,
+      render_error,
+      get_arg_names
+    )
+
+  if (payload.length == 0)
+    return to_jsonrpc_error_response(
+      null,
+      new StratisJsonRpcInvalidRequestError('Invalid Request (empty batch)'),
+      render_error
+    )
+
+  const responses = (
+    await Promise.all(
+      payload.map((request) =>
+        invoke_jsonrpc_request(request, invoke, render_error, get_arg_names)
+      )
+    )
+  ).filter((r) => r != null)
+
+  return responses.length == 0 ? null : responses
+}
+
+/**
+ * Reads (and parses) a JSON-RPC payload.
+ * @param {Readable|Buffer|string|Object} data The payload data.
+ * @param {string} encoding The data encoding.
+ * @returns {Promise<any>} The parsed payload.
+ */
+async function parse_jsonrpc_payload(data, encoding = 'utf-8') {
+  if (data instanceof Readable) data = await stream_to_buffer(data)
+  if (data instanceof Buffer) data = data.toString(encoding || 'utf-8')
+  if (typeof data != 'string') return data
+
+  try {
+    return JSON.parse(data)
+  } catch (err) {
+    throw new StratisParseError(data, `Parse error: ${err.message}`)
+  }
+}
+
+module.exports = {
+  JSONRPC_ERROR_CODES,
+  StratisJsonRpcInvalidRequestError,
+  get_jsonrpc_error_code,
+  to_jsonrpc_error_response,
+  invoke_jsonrpc_payload,
+  parse_jsonrpc_payload,
+}
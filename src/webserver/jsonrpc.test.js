@@ -0,0 +1,76 @@
+const { assert } = require('../common')
+const { invoke_jsonrpc_payload, JSONRPC_ERROR_CODES } = require('./jsonrpc')
+
+const methods = {
+  add: { arg_names: ['a', 'b'], invoke: ({ a, b }) => a + b },
+  undeclared: { arg_names: [], invoke: (args) => args },
+}
+
+/**
+ * @param {any} payload The JSON-RPC payload.
+ */
+async function call(payload) {
+  return await invoke_jsonrpc_payload(
+    payload,
+    async (name, args) => methods[name].invoke(args),
+    (err) => ({ message: err.message }),
+    async (name) => (methods[name] == null ? null : methods[name].arg_names)
+  )
+}
+
+async function main() {
+  let response = await call({
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'add',
+    params: [1, 2],
+  })
+  assert(response.result == 3, 'Positional params not mapped by arg names')
+
+  response = await call({
+    jsonrpc: '2.0',
+    id: 2,
+    method: 'add',
+    params: { a: 1, b: 2 },
+  })
+  assert(response.result == 3, 'Named params failed')
+
+  response = await call({
+    jsonrpc: '2.0',
+    id: 3,
+    method: 'add',
+    params: [{ a: 2, b: 2 }],
+  })
+  assert(response.result == 4, 'Expected [{args}] params as args')
+
+  response = await call({
+    jsonrpc: '2.0',
+    id: 4,
+    method: 'add',
+    params: [1, 2, 3],
+  })
+  assert(
+    response.error != null &&
+      response.error.code == JSONRPC_ERROR_CODES.invalid_params,
+    'Expected too many positional params to be rejected'
+  )
+
+  response = await call({
+    jsonrpc: '2.0',
+    id: 5,
+    method: 'undeclared',
+    params: [1, 2],
+  })
+  assert(
+    response.error != null &&
+      response.error.code == JSONRPC_ERROR_CODES.invalid_params,
+    'Expected positional params without declared args to be rejected'
+  )
+
+  console.log('OK')
+}
+
+main().catch((err) => {
+  console.error(err)
+  process.exit(1)
+})
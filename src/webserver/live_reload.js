@@ -0,0 +1,113 @@
+const path = require('path')
+const { STRATIS_JSONRPC_PROTOCOL } = require('./consts')
+
+/**
+ * @typedef {import('./stratis').Stratis} Stratis
+ * @typedef {import('./connections').StratisWebSocketConnection} StratisWebSocketConnection
+ */
+
+/**
+ * @typedef {Object} StratisLiveReloadNotice
+ * @property {'reload'|'css'} type The notice type. 'css' hot swaps the stylesheet, 'reload'
+ * reloads the page.
+ * @property {string} path The changed file url path (relative to the serve path)
+ */
+
+class StratisLiveReload {
+  /**
+   * Watches the serve path and sends a live reload notice to the open pages (page api websockets)
+   * affected by a file change,
+   * 1. Stylesheets (.css) are hot swapped in all the pages.
+   * 2. Templates and code files reload the pages that render or include them.
+   * 3. Other files (e.g. modules required by code files) reload all the pages.
+   * @param {Stratis} stratis
+   * @param {string} serve_path
+   */
+  constructor(stratis, serve_path) {
+    this.stratis = stratis
+    this.serve_path = path.resolve(serve_path)
+    this._on_change = (filepath) => {
+      if (!path.relative(this.serve_path, filepath).startsWith('..'))
+        this.notify(filepath)
+    }
+  }
+
+  /**
+   * Watch the serve path (with the stratis file watcher)
+   */
+  start() {
+    this.stratis.file_watcher.watch(this.serve_path)
+    this.stratis.file_watcher.on('change', this._on_change)
+  }
+
+  stop() {
+    this.stratis.file_watcher.off('change', this._on_change)
+  }
+
+  /**
+   * @param {string} filepath
+   * @returns {boolean} True if the file is a page template or code file.
+   */
+  is_page_file(filepath) {
+    return (
+      this.stratis.is_codefile(filepath) ||
+      this.stratis.page_options.page_extensions.includes(path.extname(filepath))
+    )
+  }
+
+  /**
+   * @param {StratisWebSocketConnection} connection
+   * @param {string} filepath The changed file.
+   * @returns {StratisLiveReloadNotice} The notice to send, or null if the page is not affected.
+   */
+  get_notice(connection, filepath) {
+    const stratis_request = connection.stratis_request
+    const url_path =
+      '/' + path.relative(this.serve_path, filepath).split(path.sep).join('/')
+
+    if (path.extname(filepath) == '.css') return { type: 'css', path: url_path }
+
+    const page_filepath = path.resolve(stratis_request.filepath)
+    const is_affected =
+      !this.is_page_file(filepath) ||
+      filepath == page_filepath ||
+      filepath == path.resolve(stratis_request.codepath) ||
+      this.stratis.template_bank.depends_on(page_filepath, filepath)
+
+    return is_affected ? { type: 'reload', path: url_path } : null
+  }
+
+  /**
+   * Send the live reload notice to the affected open pages.
+   * @param {string} filepath The changed file.
+   * @returns {number} The number of pages notified.
+   */
+  notify(filepath) {
+    filepath = path.resolve(filepath)
+    let sent_count = 0
+    for (let connection of this.stratis.websocket_connections) {
+      // JSON-RPC connections are api clients, not pages.
+      if (
+        !connection.is_open ||
+        connection.ws.protocol == STRATIS_JSONRPC_PROTOCOL ||
+        path.resolve(connection.stratis_request.serve_path) != this.serve_path
+      )
+        continue
+
+      const notice = this.get_notice(connection, filepath)
+      if (notice == null) continue
+      connection.ws.send(JSON.stringify({ live_reload: notice }))
+      sent_count += 1
+    }
+
+    if (sent_count > 0)
+      this.stratis.logger.debug(
+        `Live reload: ${filepath} changed, notified ${sent_count} pages`
+      )
+    return sent_count
+  }
+}
+
+module.exports = {
+  StratisLiveReload,
+}
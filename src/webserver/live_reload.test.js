@@ -0,0 +1,72 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const WebSocket = require('ws')
+const { assert } = require('../common')
+const { Stratis } = require('./stratis')
+
+/**
+ * @param {string} version
+ */
+function page_template(version) {
+  return `<p>${version}</p><%- render_stratis_script_tag() %>\n`
+}
+
+async function test_reloaded_page_renders_changed_template() {
+  const serve_path = fs.mkdtempSync(path.join(os.tmpdir(), 'stratis-lr-test-'))
+  const page_filepath = path.join(serve_path, 'page.html')
+  fs.writeFileSync(page_filepath, page_template('v1'))
+
+  // file_watch_options not set, enabled by live reload.
+  const stratis = new Stratis({ live_reload_options: { enabled: true } })
+  assert(stratis.file_watch_options.enabled, 'File watching was not enabled')
+
+  const app = stratis.server({ serve_path })
+  const server = app.listen(0)
+  stratis.attach_websocket_server(server, app)
+  await new Promise((resolve) => server.once('listening', resolve))
+
+  const port = server.address().port
+  const render = async () =>
+    await (await fetch(`http://localhost:${port}/page.html`)).text()
+
+  let ws = null
+  try {
+    assert((await render()).includes('<p>v1</p>'), 'Invalid first render')
+
+    ws = new WebSocket(`ws://localhost:${port}/page.html`)
+    await new Promise((resolve) => ws.once('open', resolve))
+    const notice = new Promise((resolve) =>
+      ws.once('message', (data) => resolve(JSON.parse(data.toString())))
+    )
+
+    fs.writeFileSync(page_filepath, page_template('v2'))
+    const { live_reload } = await notice
+    assert(
+      live_reload != null && live_reload.type == 'reload',
+      'Expected a reload notice'
+    )
+
+    // the browser reloads as soon as the notice is received.
+    const html = await render()
+    assert(
+      html.includes('<p>v2</p>'),
+      'Reloaded page rendered the previous template: ' + html.split('\n')[0]
+    )
+  } finally {
+    if (ws != null) ws.close()
+    await stratis.close({ timeout: 500 })
+    server.close()
+    fs.rmSync(serve_path, { recursive: true })
+  }
+}
+
+async function main() {
+  await test_reloaded_page_renders_changed_template()
+  console.log('OK')
+}
+
+main().catch((err) => {
+  console.error(err)
+  process.exit(1)
+})
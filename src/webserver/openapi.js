@@ -0,0 +1,239 @@
+/**
+ * @typedef {import('./code').StratisCodeModule} StratisCodeModule
+ * @typedef {import('./code').StratisCodeObject} StratisCodeObject
+ * @typedef {import('./requests').StratisFileAccessMode} StratisFileAccessMode
+ * @typedef {import('../utils/schema').StratisSchema} StratisSchema
+ */
+
+/**
+ * @typedef {Object} StratisOpenApiPage
+ * @property {string} query_path The page query path (relative to the serve path)
+ * @property {StratisFileAccessMode} access_mode The page access mode.
+ * @property {StratisCodeModule} code_module The page code module.
+ */
+
+/**
+ * @typedef {Object} StratisOpenApiOptions
+ * @property {string} title The api title.
+ * @property {string} version The api version.
+ * @property {string} description The api description.
+ */
+
+const OPENAPI_VERSION = '3.0.3'
+const OPENAPI_SECURITY_SCHEME_NAME = 'stratis_bearer'
+const OPENAPI_BODY_HTTP_METHODS = new Set(['POST', 'PUT', 'PATCH'])
+const OPENAPI_ERROR_SCHEMA_NAME = 'StratisError'
+
+/**
+ * The error response body schema (see StratisErrorObject)
+ */
+const OPENAPI_ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    error: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', description: 'The stable error code' },
+        status: { type: 'integer', description: 'The http status code' },
+        message: { type: 'string' },
+        details: { description: 'The error details, if any' },
+        request_id: { type: 'string', nullable: true },
+      },
+      required: ['code', 'status', 'message'],
+    },
+  },
+}
+
+/**
+ * Converts a stratis schema to an OpenAPI 3.0 schema (type arrays are not supported)
+ * @param {StratisSchema} schema
+ * @returns {Object} The OpenAPI schema.
+ */
+function to_openapi_schema(schema) {
+  if (schema == null || typeof schema != 'object') return schema
+  const converted = Object.assign({}, schema)
+
+  if (converted.type == 'binary') {
+    converted.type = 'string'
+    converted.format = 'binary'
+  }
+
+  if (Array.isArray(converted.type)) {
+    const types = converted.type.filter((t) => t != 'null')
+    if (types.length < converted.type.length) converted.nullable = true
+    if (types.length == 1) converted.type = types[0]
+    else {
+      delete converted.type
+      converted.anyOf = types.map((type) => ({ type }))
+    }
+  }
+
+  if (converted.items != null)
+    converted.items = to_openapi_schema(converted.items)
+
+  if (converted.properties != null)
+    converted.properties = Object.fromEntries(
+      Object.entries(converted.properties).map(([key, property_schema]) => [
+        key,
+        to_openapi_schema(property_schema),
+      ])
+    )
+
+  return converted
+}
+
+/**
+ * @param {StratisCodeObject} code_object
+ * @returns {[string]} The documented http methods.
+ */
+function get_code_object_http_methods(code_object) {
+  if (code_object.http_methods != null)
+    return code_object.http_methods.filter((m) => m != 'HEAD')
+  if (code_object.type == 'TEMPLATE_ARG') return ['GET']
+  return ['GET', 'POST']
+}
+
+/**
+ * @param {string} query_path
+ * @param {StratisCodeObject} code_object
+ * @param {string} http_method
+ * @param {StratisFileAccessMode} access_mode
+ */
+function create_openapi_operation(
+  query_path,
+  code_object,
+  http_method,
+  access_mode
+) {
+  const operation = {
+    tags: [query_path],
+    operationId: `${query_path}/${code_object.name}/${http_method}`.replace(
+      /[^\w]/g,
+      '_'
+    ),
+    summary: code_object.description || undefined,
+    responses: {
+      200: { description: 'Success' },
+      default: {
+        description: 'Error',
+        content: {
+          'application/json': {
+            schema: {
+              $ref: `#/components/schemas/${OPENAPI_ERROR_SCHEMA_NAME}`,
+            },
+          },
+        },
+      },
+    },
+  }
+
+  const args_schema =
+    code_object.args_schema == null
+      ? null
+      : to_openapi_schema(
+          Object.assign({ type: 'object' }, code_object.args_schema)
+        )
+
+  if (args_schema != null) {
+    const required = new Set(args_schema.required || [])
+    if (OPENAPI_BODY_HTTP_METHODS.has(http_method))
+      operation.requestBody = {
+        required: required.size > 0,
+        content: {
+          'application/json': { schema: args_schema },
+        },
+      }
+    else
+      operation.parameters = Object.entries(args_schema.properties || {}).map(
+        ([name, schema]) => ({
+          name,
+          in: 'query',
+          required: required.has(name),
+          description: schema.description,
+          schema,
+        })
+      )
+
+    operation.responses[400] = { description: 'Invalid arguments' }
+  }
+
+  if (code_object.http_methods != null)
+    operation.responses[405] = { description: 'Http method not allowed' }
+
+  if (access_mode == 'secure') {
+    operation.security = [{ [OPENAPI_SECURITY_SCHEME_NAME]: [] }]
+    operation.responses[401] = { description: 'Not authorized' }
+  }
+
+  return operation
+}
+
+/**
+ * Creates the OpenAPI paths for a page (All api code objects and request handlers)
+ * @param {StratisOpenApiPage} page
+ * @returns {Object} The OpenAPI paths.
+ */
+function create_openapi_page_paths({ query_path, access_mode, code_module }) {
+  const paths = {}
+  for (let code_object of code_module.code_objects) {
+    if (!code_object.is_api_object && code_object.type != 'REQUEST_HANDLER')
+      continue
+
+    const path_item = {}
+    for (let http_method of get_code_object_http_methods(code_object))
+      path_item[http_method.toLowerCase()] = create_openapi_operation(
+        query_path,
+        code_object,
+        http_method,
+        access_mode
+      )
+
+    paths[`/${query_path}/${code_object.name}`] = path_item
+  }
+  return paths
+}
+
+/**
+ * Creates an OpenAPI 3 document for a collection of pages.
+ * Private pages are not included.
+ * @param {[StratisOpenApiPage]} pages
+ * @param {StratisOpenApiOptions} options
+ * @returns {Object} The OpenAPI document (json compatible)
+ */
+function create_openapi_document(
+  pages,
+  { title = 'Stratis API', version = '1.0.0', description = null } = {}
+) {
+  pages = pages.filter((p) => p.access_mode != 'private')
+
+  const document = {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title,
+      version,
+      description: description || undefined,
+    },
+    tags: pages.map((p) => ({ name: p.query_path })),
+    paths: Object.assign({}, ...pages.map((p) => create_openapi_page_paths(p))),
+  }
+
+  document.components = {
+    schemas: { [OPENAPI_ERROR_SCHEMA_NAME]: OPENAPI_ERROR_SCHEMA },
+  }
+
+  if (pages.some((p) => p.access_mode == 'secure'))
+    document.components.securitySchemes = {
+      [OPENAPI_SECURITY_SCHEME_NAME]: {
+        type: 'http',
+        scheme: 'bearer',
+      },
+    }
+
+  return document
+}
+
+module.exports = {
+  create_openapi_document,
+  create_openapi_page_paths,
+  to_openapi_schema,
+}
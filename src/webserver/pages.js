@@ -3,11 +3,15 @@ const path = require('path')
 const {
   StratisNotFoundError,
   StratisNotAuthorizedError,
+  StratisBadRequestError,
 } = require('../errors.js')
 const { assert } = require('../common')
 const { stream_to_buffer } = require('../utils/streams.js')
 const { Request, Response } = require('express')
 const { StratisParseError } = require('../errors')
+const { to_yaml } = require('../utils/yaml')
+const { create_openapi_document } = require('./openapi')
+const { create_browser_api_typings } = require('./typings')
 const WebSocket = require('ws')
 
 /**
@@ -24,6 +28,8 @@ const WebSocket = require('ws')
  * @typedef {import('express/index').NextFunction} NextFunction
  * @typedef {import('./stratis.js').Stratis} Stratis
  * @typedef {import('./interfaces').JsonCompatible} JsonCompatible
+ * @typedef {import('./code').StratisCodeModule} StratisCodeModule
+ * @typedef {import('./connections').StratisWebSocketConnection} StratisWebSocketConnection
  */
 
 /**
@@ -32,6 +38,8 @@ const WebSocket = require('ws')
  * @property {StratisExpressResponse} res The express http response object
  * @property {NextFunction} next the express http next function.
  * @property {WebSocket} ws The WebSocket connection if applicable.
+ * @property {AbortSignal} signal Aborted when the call is cancelled (client cancel, disconnect or timeout)
+ * @property {StratisWebSocketConnection} connection The websocket connection if applicable.
  */
 
 /**
@@ -44,7 +52,14 @@ class StratisPageCallContext {
    * Implements the call context for stratis
    * @param {StratisPageCallContextOptions} param0
    */
-  constructor({ stratis_request, res = null, next = null, ws = null } = {}) {
+  constructor({
+    stratis_request,
+    res = null,
+    next = null,
+    ws = null,
+    signal = null,
+    connection = null,
+  } = {}) {
     assert(stratis_request != null, 'The stratis request must be defined')
     assert(
       ws instanceof WebSocket || res != null,
@@ -55,6 +70,9 @@ class StratisPageCallContext {
     this._res = res
     this._ws = ws
     this._next = next
+    this._signal = signal || new AbortController().signal
+    this._connection = connection
+    this._requests = null
 
     /**
      * @type {{}} The code module dictionary for the request.
@@ -86,6 +104,15 @@ class StratisPageCallContext {
     return this.ws
   }
 
+  /**
+   * The websocket connection (null for http requests). Use connection.state to keep
+   * state across the connection messages.
+   * @type {StratisWebSocketConnection}
+   */
+  get connection() {
+    return this._connection
+  }
+
   get stratis() {
     return this.stratis_request.stratis
   }
@@ -108,11 +135,33 @@ class StratisPageCallContext {
   }
 
   /**
-   * Requests client to send http/https requests
+   * Aborted when the call is cancelled, i.e. the client cancelled the call or disconnected,
+   * or the call timed out.
+   * @type {AbortSignal}
+   */
+  get signal() {
+    return this._signal
+  }
+
+  /**
+   * The client last received event id (Last-Event-ID header), sent by server sent events
+   * clients when reconnecting. Null if none.
+   * @type {string}
+   */
+  get last_event_id() {
+    if (this.is_websocket_request) return null
+    return this.req.headers['last-event-id'] || null
+  }
+
+  /**
+   * Requests client to send http/https requests. Requests are aborted with
+   * the call signal.
    * @type {StratisRequestsClient}
    */
   get requests() {
-    return this.stratis.requests
+    if (this._requests == null)
+      this._requests = this.stratis.requests.with_signal(this.signal)
+    return this._requests
   }
 
   /**
@@ -136,11 +185,15 @@ class StratisPageCallContext {
   get_api_objects() {
     return Object.assign({}, this.stratis.template_options.common_api || {}, {
       render_stratis_api_yaml_description: (...args) =>
-        this.render_stratis_api_description(...args),
+        this.render_stratis_api_yaml_description(...args),
+      render_stratis_api_json_description: (...args) =>
+        this.render_stratis_api_json_description(...args),
       render_stratis_api_description: (...args) =>
         this.render_stratis_api_description(...args),
       render_stratis_browser_api_script: (...args) =>
         this.render_stratis_browser_api_script(...args),
+      render_stratis_browser_api_types: (...args) =>
+        this.render_stratis_browser_api_types(...args),
     })
   }
 
@@ -153,13 +206,22 @@ class StratisPageCallContext {
     })
   }
 
+  /**
+   * @returns {StratisCodeModule} The code module for the request page.
+   */
+  async get_code_module() {
+    return await this.stratis.code_module_bank.load(
+      this.stratis_request.codepath
+    )
+  }
+
   /**
    * @param {boolean} include_api_objects
    * @returns {Object<string, StratisApiHandler>}
    */
   async get_code_module_objects(include_api_objects = true) {
     const code_module_api_objects = (
-      await this.stratis.code_module_bank.load(this.stratis_request.codepath)
+      await this.get_code_module()
     ).as_api_objects()
 
     return Object.assign(
@@ -174,12 +236,27 @@ class StratisPageCallContext {
    * @param {Object} param0
    * @param {string} param0.api_name The name of the api
    * @param {string} param0.websocket_path The websocket path to use for inner pages
+   * @param {'auto'|'websocket'|'http'} param0.transport The api call transport. Defaults
+   * to the client api options transport.
    */
   async render_stratis_browser_api_script({
     api_name = 'stratis',
     websocket_path = null,
     needs_core = true,
+    transport = null,
   }) {
+    // rendered into the script.
+    assert(
+      /^[A-Za-z_$][\w$]*$/.test(api_name),
+      new StratisBadRequestError('api_name must be a valid identifier')
+    )
+    assert(
+      transport == null || ['auto', 'websocket', 'http'].includes(transport),
+      new StratisBadRequestError(
+        'transport must be one of auto, websocket or http'
+      )
+    )
+
     /** @type {StratisRequestEnvironment} */
     return await this.stratis_request.stratis.template_bank.render(
       this.stratis.client_api_options.api_code_path,
@@ -187,7 +264,16 @@ class StratisPageCallContext {
         websocket_path,
         api_name,
         needs_core,
+        transport,
         code_module: await this.get_code_module_objects(),
+        push_notifications: Object.keys(
+          (await this.get_code_module()).as_push_notifications()
+        ),
+        http_methods: Object.fromEntries(
+          (await this.get_code_module()).code_objects
+            .filter((o) => o.http_methods != null)
+            .map((o) => [o.name, o.allowed_http_methods])
+        ),
         request: this.stratis_request,
         stratis: this.stratis,
         context: this,
@@ -195,6 +281,41 @@ class StratisPageCallContext {
     )
   }
 
+  /**
+   * Render the typescript declarations (.d.ts) for the stratis browser api script.
+   * @param {Object} param0
+   * @param {string} param0.api_name The name of the api (must match the script api name)
+   */
+  async render_stratis_browser_api_types({ api_name = 'stratis' } = {}) {
+    const code_module = await this.get_code_module()
+    return create_browser_api_typings({
+      api_name,
+      title: `/${this.stratis_request.query_path}`,
+      code_objects: code_module.code_objects.filter((o) => o.is_api_object),
+      common_api_names: Object.keys(this.get_api_objects()),
+      push_notifications: Object.keys(code_module.as_push_notifications()),
+    })
+  }
+
+  /**
+   * @returns {Object} The page OpenAPI document.
+   */
+  async create_openapi_document() {
+    return create_openapi_document(
+      [
+        {
+          query_path: this.stratis_request.query_path,
+          access_mode: this.stratis_request.access_mode,
+          code_module: await this.get_code_module(),
+        },
+      ],
+      { title: this.stratis_request.query_path }
+    )
+  }
+
+  /**
+   * Render the page api description (path and api method names) as json.
+   */
   async render_stratis_api_description() {
     const code_module = await this.get_code_module_objects(false)
     const api_description = {
@@ -204,6 +325,20 @@ class StratisPageCallContext {
 
     return JSON.stringify(api_description, null, 2)
   }
+
+  /**
+   * Render the page OpenAPI document as json.
+   */
+  async render_stratis_api_json_description() {
+    return JSON.stringify(await this.create_openapi_document(), null, 2)
+  }
+
+  /**
+   * Render the page OpenAPI document as yaml.
+   */
+  async render_stratis_api_yaml_description() {
+    return to_yaml(await this.create_openapi_document())
+  }
 }
 
 class StratisPageCall {
@@ -333,7 +468,14 @@ class StratisPageApiCall extends StratisPageCall {
 
     const to_invoke = code_module[this.name]
     if (typeof to_invoke != 'function') return to_invoke
-    else return await to_invoke(this.args, context)
+
+    // validate and coerce the call args.
+    const code_object = (await context.get_code_module()).get_code_object(
+      this.name
+    )
+    if (code_object != null) this._args = code_object.validate_args(this.args)
+
+    return await to_invoke(this.args, context)
   }
 }
 
@@ -1,6 +1,6 @@
 const { throws } = require('assert')
 const path = require('path')
-const { assert, path_stat, path_exists } = require('../common.js')
+const { assert, path_stat, path_exists, create_uuid } = require('../common.js')
 const is_websocket_request =
   require('../utils/websocket.js').is_websocket_request
 
@@ -21,6 +21,34 @@ const is_websocket_request =
 const ACCESS_MODIFIERS_MATCH_REGEX =
   /([^\w]|^)(private|public|secure)([^\w]|$)/g
 
+/**
+ * Resolves the access mode of a query path (relative to the serve path), given the
+ * path access modifiers. Code files are always private.
+ * @param {Stratis} stratis The stratis api.
+ * @param {string} query_path The query path.
+ * @param {StratisFileAccessMode} default_access_mode The access mode if no modifiers match.
+ * @param {RegExp} access_modifiers_match_regex The access modifiers regex.
+ * @returns {StratisFileAccessMode} The access mode.
+ */
+function resolve_access_mode(
+  stratis,
+  query_path,
+  default_access_mode = 'public',
+  access_modifiers_match_regex = ACCESS_MODIFIERS_MATCH_REGEX
+) {
+  if (stratis.is_codefile(query_path)) return 'private'
+
+  const modifiers_matches = [
+    ...query_path.matchAll(access_modifiers_match_regex),
+  ]
+  const modifiers = new Set(modifiers_matches.map((m) => m[2]))
+
+  if (modifiers.has('private')) return 'private'
+  else if (modifiers.has('secure')) return 'secure'
+  else if (modifiers.has('public')) return 'public'
+  return default_access_mode
+}
+
 class StratisRequest {
   /**
    * @param {object} param0
@@ -73,6 +101,22 @@ class StratisRequest {
     this._is_page = false
     /** @type {StratisPageCallContext} */
     this._context = context
+    /** @type {string} */
+    this._id = null
+  }
+
+  /**
+   * The request id. Taken from the X-Request-Id header (e.g. set by a proxy), or generated.
+   */
+  get id() {
+    if (this._id == null) {
+      const header_id = this.request.headers['x-request-id']
+      this._id =
+        typeof header_id == 'string' && /^[\w.:-]{1,128}$/.test(header_id)
+          ? header_id
+          : create_uuid()
+    }
+    return this._id
   }
 
   /**
@@ -103,6 +147,13 @@ class StratisRequest {
     return this._context
   }
 
+  /**
+   * The request user info (request[user_key]), if any.
+   */
+  get user() {
+    return this.request[this._user_key] || null
+  }
+
   /**
    * The oauth2 session. Is null if provider is not active.
    */
@@ -271,20 +322,15 @@ class StratisRequest {
     this._api_path = paths.api_path
 
     // check access modifiers
-    if (this.is_codefile) {
-      // codefiles are always private and never a page.
-      this._access_mode = 'private'
-      return
-    } else {
-      const modifiers_matches = [
-        ...this.query_path.matchAll(this.access_modifiers_match_regex),
-      ]
-      const modifiers = new Set(modifiers_matches.map((m) => m[2]))
-
-      if (modifiers.has('private')) this._access_mode = 'private'
-      else if (modifiers.has('secure')) this._access_mode = 'secure'
-      else if (modifiers.has('public')) this._access_mode = 'public'
-    }
+    this._access_mode = resolve_access_mode(
+      this.stratis,
+      this.query_path,
+      this.access_mode,
+      this.access_modifiers_match_regex
+    )
+
+    // codefiles are always private and never a page.
+    if (this.is_codefile) return
 
     this._is_page =
       new Set(this.stratis.page_options.page_extensions).has(
@@ -297,4 +343,6 @@ class StratisRequest {
 
 module.exports = {
   StratisRequest,
+  resolve_access_mode,
+  ACCESS_MODIFIERS_MATCH_REGEX,
 }
@@ -0,0 +1,202 @@
+const {
+  to_doc_comment,
+  to_typescript_type,
+  to_typescript_identifier,
+  to_typescript_type_name,
+} = require('../utils/typescript')
+
+/**
+ * @typedef {import('./site').StratisSiteIndexPage} StratisSiteIndexPage
+ * @typedef {import('./site').StratisSiteIndexApi} StratisSiteIndexApi
+ */
+
+/**
+ * @typedef {Object} StratisClientSdkOptions
+ * @property {string} title The sdk title (shows in the generated module header)
+ * @property {string} package_name The stratis package to import the api client from.
+ */
+
+/**
+ * @typedef {Object} StratisClientSdk
+ * @property {string} js The client module source (commonjs)
+ * @property {string} dts The client module typings.
+ */
+
+const CLIENT_SDK_TYPES = `export type StratisApiClientTransport = 'rest' | 'websocket'
+
+export interface StratisApiClientOptions {
+  /** The stratis site url (e.g. http://localhost:8080) */
+  url: string
+  /** The bearer token (or a method that returns the token) to send to secure pages. */
+  token?: string | (() => string | Promise<string>)
+  /** The default call transport. Defaults to rest. */
+  transport?: StratisApiClientTransport
+  /** The call timeout [ms] */
+  timeout?: number
+  /** Extra headers to send with each request. */
+  headers?: Record<string, string>
+}
+
+export interface StratisApiClientCallOptions {
+  /** The REST http method. */
+  http_method?: string
+  /** Overrides the client default transport. */
+  transport?: StratisApiClientTransport
+}
+
+export interface StratisApiClient {
+  call(
+    query_path: string,
+    name: string,
+    args?: Record<string, any>,
+    options?: StratisApiClientCallOptions
+  ): Promise<any>
+  close(): void
+}
+`
+
+/**
+ * @param {StratisSiteIndexApi} api
+ * @returns {string} The REST http method to call the api with.
+ */
+function get_client_http_method(api) {
+  if (api.http_methods == null || api.http_methods.includes('POST'))
+    return 'POST'
+  return api.http_methods.find((m) => m != 'HEAD') || 'POST'
+}
+
+/**
+ * @param {StratisSiteIndexPage} page
+ * @returns {[StratisSiteIndexApi]} The page apis that can be called from the client.
+ */
+function get_client_page_apis(page) {
+  return page.apis.filter((api) => api.type != 'REQUEST_HANDLER')
+}
+
+/**
+ * @param {StratisSiteIndexPage} page
+ */
+function create_page_module_source(page) {
+  const methods = get_client_page_apis(page).map(
+    (api) =>
+      to_doc_comment(api.description, '      ') +
+      `      ${to_typescript_identifier(
+        api.name
+      )}: (args = {}, options = {}) =>\n` +
+      `        client.call(${JSON.stringify(page.query_path)}, ${JSON.stringify(
+        api.name
+      )}, args, Object.assign({ http_method: ${JSON.stringify(
+        get_client_http_method(api)
+      )} }, options)),`
+  )
+
+  return (
+    to_doc_comment(`${page.route} (${page.access_mode})`, '    ') +
+    `    ${to_typescript_identifier(page.query_path)}: {\n${methods.join(
+      '\n'
+    )}\n    },`
+  )
+}
+
+/**
+ * @param {StratisSiteIndexPage} page
+ */
+function create_page_typings_source(page) {
+  const methods = get_client_page_apis(page).map((api) => {
+    const args_schema = Object.assign({ type: 'object' }, api.args_schema || {})
+    const args_optional = (args_schema.required || []).length == 0
+    return (
+      to_doc_comment(api.description, '  ') +
+      `  ${to_typescript_identifier(api.name)}(args${
+        args_optional ? '?' : ''
+      }: ${to_typescript_type(
+        args_schema,
+        '  '
+      )}, options?: StratisApiClientCallOptions): Promise<${
+        api.returns_schema == null
+          ? 'any'
+          : to_typescript_type(api.returns_schema, '  ')
+      }>`
+    )
+  })
+
+  return (
+    to_doc_comment(`${page.route} (${page.access_mode})`) +
+    `export interface ${to_typescript_type_name(
+      page.query_path
+    )}Api {\n${methods.join('\n')}\n}`
+  )
+}
+
+/**
+ * Creates a node client module (and its typings) for a stratis site. Each page
+ * api method is exposed as an async function, called over REST or websocket.
+ * Private pages and request handlers are not included.
+ * @param {[StratisSiteIndexPage]} site_index The site index.
+ * @param {StratisClientSdkOptions} options
+ * @returns {StratisClientSdk} The client sdk sources.
+ */
+function create_node_client_sdk(
+  site_index,
+  { title = 'stratis', package_name = '@lamaani/stratis' } = {}
+) {
+  const pages = site_index.filter((p) => p.access_mode != 'private')
+  const header = `/**\n * Stratis api client for ${title}.\n * Auto generated, do not edit.\n */\n`
+
+  const js = `${header}const { StratisApiClient } = require(${JSON.stringify(
+    package_name
+  )})
+
+/**
+ * Creates the site api client.
+ * @param {import(${JSON.stringify(
+   package_name
+ )}).StratisApiClientOptions|StratisApiClient} options The client options, or an api client.
+ */
+function create_client(options) {
+  const client =
+    options instanceof StratisApiClient ? options : new StratisApiClient(options)
+
+  return {
+    client,
+    close: () => client.close(),
+${pages.map((p) => create_page_module_source(p)).join('\n')}
+  }
+}
+
+module.exports = {
+  create_client,
+}
+`
+
+  const dts = `${header}${CLIENT_SDK_TYPES}
+${pages.map((p) => create_page_typings_source(p)).join('\n\n')}
+
+export interface StratisSiteClient {
+  client: StratisApiClient
+  close(): void
+${pages
+  .map(
+    (p) =>
+      `  ${to_typescript_identifier(p.query_path)}: ${to_typescript_type_name(
+        p.query_path
+      )}Api`
+  )
+  .join('\n')}
+}
+
+/**
+ * Creates the site api client.
+ * @param options The client options, or an api client.
+ */
+export function create_client(
+  options: StratisApiClientOptions | StratisApiClient
+): StratisSiteClient
+`
+
+  return { js, dts }
+}
+
+module.exports = {
+  create_node_client_sdk,
+}
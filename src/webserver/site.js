@@ -0,0 +1,148 @@
+const fs = require('fs')
+const path = require('path')
+const { path_exists } = require('../common')
+const { resolve_access_mode } = require('./requests')
+
+/**
+ * @typedef {import('./stratis').Stratis} Stratis
+ * @typedef {import('./requests').StratisFileAccessMode} StratisFileAccessMode
+ */
+
+/**
+ * @typedef {Object} StratisSitePage
+ * @property {string} query_path The page query path (relative to the serve path)
+ * @property {string} filepath The page template filepath.
+ * @property {string} codepath The page code filepath.
+ * @property {StratisFileAccessMode} access_mode The page access mode.
+ */
+
+/**
+ * @typedef {Object} StratisSiteIndexApi
+ * @property {string} name The api object name.
+ * @property {import('./code').StratisCodeObjectTypeEnum} type The code object type.
+ * @property {string} route The REST api route.
+ * @property {[string]} http_methods The allowed http methods. If null, all.
+ * @property {string} description The api object description.
+ * @property {import('../utils/schema').StratisSchema} args_schema The api object args schema, if any.
+ * @property {import('../utils/schema').StratisSchema} returns_schema The api object return value schema, if any.
+ */
+
+/**
+ * @typedef {Object} StratisSiteIndexPage
+ * @property {string} query_path The page query path (relative to the serve path)
+ * @property {string} route The page route (and websocket route)
+ * @property {StratisFileAccessMode} access_mode The page access mode.
+ * @property {[StratisSiteIndexApi]} apis The page api objects and request handlers.
+ * @property {[string]} push_notifications The page push notifications names.
+ */
+
+/**
+ * Directories that are never crawled.
+ */
+const CRAWL_IGNORE_DIRECTORIES = new Set(['node_modules'])
+
+/**
+ * @param {string} dirpath
+ * @returns {[string]} All the filepaths under the directory.
+ */
+async function list_files_recursive(dirpath) {
+  let filepaths = []
+  for (let entry of await fs.promises.readdir(dirpath, {
+    withFileTypes: true,
+  })) {
+    const entry_path = path.join(dirpath, entry.name)
+    if (entry.isDirectory()) {
+      if (
+        entry.name.startsWith('.') ||
+        CRAWL_IGNORE_DIRECTORIES.has(entry.name)
+      )
+        continue
+      filepaths = filepaths.concat(await list_files_recursive(entry_path))
+    } else if (entry.isFile()) filepaths.push(entry_path)
+  }
+  return filepaths
+}
+
+/**
+ * Crawls the serve path and returns all pages that have a matching code file.
+ * (Hidden directories and node_modules are ignored)
+ * @param {Stratis} stratis The stratis api.
+ * @param {string} serve_path The serve path to crawl.
+ * @returns {[StratisSitePage]} The pages, sorted by query path.
+ */
+async function crawl_stratis_pages(stratis, serve_path) {
+  const default_access_mode = stratis.get_default_access_mode(serve_path)
+  const pages = []
+
+  for (let filepath of await list_files_recursive(serve_path)) {
+    if (stratis.is_codefile(filepath)) continue
+
+    const codepath = stratis.compose_codefile_path(filepath)
+    if (!(await path_exists(codepath, { allow_directory: false }))) continue
+
+    const query_path = path
+      .relative(serve_path, filepath)
+      .split(path.sep)
+      .join('/')
+
+    pages.push({
+      query_path,
+      filepath,
+      codepath,
+      access_mode: resolve_access_mode(
+        stratis,
+        query_path,
+        default_access_mode
+      ),
+    })
+  }
+
+  return pages.sort((a, b) => a.query_path.localeCompare(b.query_path))
+}
+
+/**
+ * Creates an index of all pages (with code files) in the serve path, their access
+ * mode and their api routes.
+ * @param {Stratis} stratis The stratis api.
+ * @param {string} serve_path The serve path to crawl.
+ * @param {Object} param2
+ * @param {boolean} param2.include_private If true, include the private pages (which cannot be
+ * accessed over http). Only for trusted callers, e.g. the server operator.
+ * @returns {[StratisSiteIndexPage]} The site index.
+ */
+async function create_stratis_site_index(
+  stratis,
+  serve_path,
+  { include_private = false } = {}
+) {
+  const index = []
+  for (let page of await crawl_stratis_pages(stratis, serve_path)) {
+    if (page.access_mode == 'private' && !include_private) continue
+    const code_module = await stratis.code_module_bank.load(page.codepath)
+    const route = `/${page.query_path}`
+
+    index.push({
+      query_path: page.query_path,
+      route,
+      access_mode: page.access_mode,
+      apis: code_module.code_objects
+        .filter((o) => o.is_api_object || o.type == 'REQUEST_HANDLER')
+        .map((o) => ({
+          name: o.name,
+          type: o.type,
+          route: `${route}/${o.name}`,
+          http_methods: o.http_methods,
+          description: o.description,
+          args_schema: o.args_schema,
+          returns_schema: o.returns_schema,
+        })),
+      push_notifications: Object.keys(code_module.as_push_notifications()),
+    })
+  }
+  return index
+}
+
+module.exports = {
+  crawl_stratis_pages,
+  create_stratis_site_index,
+}
@@ -0,0 +1,181 @@
+const { StringDecoder } = require('string_decoder')
+const { get_error_code } = require('../errors')
+
+/**
+ * @typedef {import('./interfaces').StratisExpressRequest} StratisExpressRequest
+ * @typedef {import('./interfaces').StratisExpressResponse} StratisExpressResponse
+ */
+
+/**
+ * @typedef {Object} StratisEventStreamOptions
+ * @property {number} keepalive_interval The interval in which to send keepalive comments [ms]
+ * @property {AbortSignal} signal Aborted when the client disconnected. Stops the event stream.
+ * @property {string} last_event_id The client last event id (Last-Event-ID). If numeric, the
+ * event sequence continues from it.
+ * @property {(err:Error)=>any} render_error Renders an error (thrown by the result) as the error event data.
+ */
+
+class StratisServerSentEvent {
+  /**
+   * A server sent event. Yield (or push) to set the event name, id or retry, otherwise
+   * plain values are sent as message events.
+   * @param {Object} param0
+   * @param {any} param0.data The event data. Non string values are sent as json.
+   * @param {string} param0.event The event name. If null, a message event.
+   * @param {string|number} param0.id The event id. Defaults to the event sequence number.
+   * @param {number} param0.retry The client reconnect delay [ms]
+   */
+  constructor({ data = null, event = null, id = null, retry = null } = {}) {
+    this.data = data
+    this.event = event
+    this.id = id
+    this.retry = retry
+  }
+
+  /**
+   * @param {string|number} default_id The id to use if the event has no id.
+   * @returns {string} The event as text/event-stream text.
+   */
+  to_event_stream_text(default_id = null) {
+    const lines = []
+    if (this.event != null) lines.push(`event: ${this.event}`)
+
+    const id = this.id == null ? default_id : this.id
+    if (id != null) lines.push(`id: ${id}`)
+    if (this.retry != null) lines.push(`retry: ${Math.floor(this.retry)}`)
+
+    const data =
+      typeof this.data == 'string' ? this.data : JSON.stringify(this.data)
+    for (let line of `${data}`.split(/\r\n|\r|\n/)) lines.push(`data: ${line}`)
+
+    return lines.join('\n') + '\n\n'
+  }
+}
+
+/**
+ * @param {StratisExpressRequest} req The express request.
+ * @returns {boolean} True if the request accepts an event stream (Accept: text/event-stream)
+ */
+function accepts_event_stream(req) {
+  return /\btext\/event-stream\b/i.test(req.headers.accept || '')
+}
+
+/**
+ * @param {any} result The api call result.
+ * @returns {AsyncIterator|Iterator} The result events iterator. Async iterables (e.g. readable
+ * streams or async generators) and generators are iterated, any other value is a single event.
+ */
+function to_event_iterator(result) {
+  if (result != null && typeof result[Symbol.asyncIterator] == 'function')
+    return result[Symbol.asyncIterator]()
+  if (
+    result != null &&
+    typeof result.next == 'function' &&
+    typeof result[Symbol.iterator] == 'function'
+  )
+    return result
+  return [result === undefined ? null : result][Symbol.iterator]()
+}
+
+/**
+ * Send an api call result as a text/event-stream (server sent events). Sends keepalive
+ * comments while waiting for events. When the signal is aborted (client disconnect),
+ * the result iterator is returned (generators) or destroyed (streams).
+ * @param {StratisExpressResponse} res The express response.
+ * @param {any} result The api call result.
+ * @param {StratisEventStreamOptions} options
+ */
+async function send_event_stream(
+  res,
+  result,
+  {
+    keepalive_interval = 1000 * 15,
+    signal = null,
+    last_event_id = null,
+    render_error = (err) => ({
+      error: {
+        code: get_error_code(err),
+        status: err.http_response_code || 500,
+        message: `${err.message || err}`,
+      },
+    }),
+  } = {}
+) {
+  signal = signal || new AbortController().signal
+
+  res.setHeader('Content-Type', 'text/event-stream')
+  res.setHeader('Cache-Control', 'no-cache')
+  res.setHeader('Connection', 'keep-alive')
+  // disable proxy buffering (nginx)
+  res.setHeader('X-Accel-Buffering', 'no')
+  res.flushHeaders()
+
+  const aborted = new Promise((resolve) => {
+    if (signal.aborted) resolve()
+    else signal.addEventListener('abort', () => resolve(), { once: true })
+  })
+
+  const write = async (text) => {
+    if (signal.aborted || res.writableEnded) return
+    if (!res.write(text))
+      await Promise.race([
+        new Promise((resolve) => res.once('drain', resolve)),
+        aborted,
+      ])
+  }
+
+  const keepalive_id =
+    keepalive_interval > 0
+      ? setInterval(() => write(': keepalive\n\n'), keepalive_interval)
+      : null
+
+  let seq = /^\d+$/.test(`${last_event_id}`) ? parseInt(last_event_id) + 1 : 0
+  const iterator = to_event_iterator(result)
+  // byte streams may split multibyte characters.
+  const decoder = new StringDecoder('utf-8')
+
+  const send = async (value) => {
+    if (value instanceof Buffer) value = decoder.write(value)
+    if (value === '') return
+    const event =
+      value instanceof StratisServerSentEvent
+        ? value
+        : new StratisServerSentEvent({ data: value })
+    await write(event.to_event_stream_text(seq++))
+  }
+
+  try {
+    while (!signal.aborted) {
+      const next = Promise.resolve(iterator.next())
+      next.catch(() => {})
+      const item = await Promise.race([next, aborted.then(() => null)])
+      if (item == null || item.done) break
+      await send(item.value)
+    }
+
+    const remaining = decoder.end()
+    if (remaining.length > 0) await send(remaining)
+  } catch (err) {
+    await write(
+      new StratisServerSentEvent({
+        event: 'error',
+        data: render_error(err),
+      }).to_event_stream_text(seq++)
+    )
+  } finally {
+    if (keepalive_id != null) clearInterval(keepalive_id)
+    if (signal.aborted) {
+      if (result != null && typeof result.destroy == 'function')
+        result.destroy()
+      else if (typeof iterator.return == 'function')
+        Promise.resolve(iterator.return()).catch(() => {})
+    }
+    if (!res.writableEnded) res.end()
+  }
+}
+
+module.exports = {
+  StratisServerSentEvent,
+  accepts_event_stream,
+  send_event_stream,
+}
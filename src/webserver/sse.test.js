@@ -0,0 +1,167 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const http = require('http')
+const { assert } = require('../common')
+const { Stratis } = require('./stratis')
+const { StratisServerSentEvent } = require('./sse')
+
+/**
+ * Read an event stream for a duration.
+ * @param {number} port
+ * @param {string} url_path
+ * @param {number} duration [ms]
+ * @param {Object<string,string>} headers Additional request headers.
+ * @returns {Promise<string>} The received event stream text.
+ */
+function read_event_stream(port, url_path, duration, headers = {}) {
+  return new Promise((resolve, reject) => {
+    let text = ''
+    const req = http.get(
+      {
+        port,
+        path: url_path,
+        headers: Object.assign({ accept: 'text/event-stream' }, headers),
+      },
+      (res) => {
+        res.on('data', (chunk) => (text += chunk))
+        res.on('end', () => resolve(text))
+        setTimeout(() => {
+          req.destroy()
+          resolve(text)
+        }, duration)
+      }
+    )
+    req.on('error', reject)
+  })
+}
+
+/**
+ * Serve an events page and call the handler with the server port.
+ * @param {string} code_source The events page code file source.
+ * @param {Object} stratis_options The Stratis constructor options.
+ * @param {(port:number, errors:[Error])=>Promise} handler
+ */
+async function with_events_server(code_source, stratis_options, handler) {
+  const serve_path = fs.mkdtempSync(path.join(os.tmpdir(), 'stratis-sse-test-'))
+  fs.writeFileSync(path.join(serve_path, 'events.html'), '<html></html>')
+  fs.writeFileSync(path.join(serve_path, 'events.code.js'), code_source)
+
+  const stratis = new Stratis(stratis_options)
+  const errors = []
+  stratis.on('error', (err) => errors.push(err))
+
+  const server = stratis.server({ serve_path }).listen(0)
+  await new Promise((resolve) => server.once('listening', resolve))
+
+  try {
+    await handler(server.address().port, errors)
+  } finally {
+    server.close()
+    fs.rmSync(serve_path, { recursive: true })
+  }
+}
+
+function test_event_stream_text() {
+  const text = (event, default_id = null) =>
+    new StratisServerSentEvent(event).to_event_stream_text(default_id)
+
+  assert(text({ data: 'hi' }) == 'data: hi\n\n', 'Invalid message event')
+  assert(
+    text({ data: { a: 1 } }, 3) == 'id: 3\ndata: {"a":1}\n\n',
+    'Invalid json event'
+  )
+  assert(
+    text({ data: 'a\r\nb\nc', event: 'lines', id: 'x', retry: 1500.5 }, 3) ==
+      'event: lines\nid: x\nretry: 1500\ndata: a\ndata: b\ndata: c\n\n',
+    'Invalid multiline event'
+  )
+}
+
+async function test_stream_outlives_request_timeout() {
+  await with_events_server(
+    `module.exports = {
+  ticks: async function* () {
+    for (let i = 0; i < 6; i++) {
+      await new Promise((r) => setTimeout(r, 100))
+      yield { i }
+    }
+  },
+}
+`,
+    { page_options: { timeout: 250 } },
+    async (port, errors) => {
+      const text = await read_event_stream(port, '/events.html/ticks', 2000)
+      assert(
+        text.includes('data: {"i":5}'),
+        'Event stream cut off by the request timeout: ' + JSON.stringify(text)
+      )
+      assert(
+        errors.length == 0,
+        'Unexpected errors: ' + errors.map((e) => e.message).join(', ')
+      )
+    }
+  )
+}
+
+async function test_last_event_id_and_keepalive() {
+  await with_events_server(
+    `module.exports = {
+  slow: async function* () {
+    yield 'first'
+    await new Promise((r) => setTimeout(r, 400))
+    yield 'second'
+  },
+  fail: async function* () {
+    yield 'first'
+    throw new Error('failed in stream')
+  },
+}
+`,
+    { page_options: { sse_keepalive_interval: 100 } },
+    async (port, errors) => {
+      let text = await read_event_stream(port, '/events.html/slow', 2000)
+      assert(
+        text.includes('id: 0\ndata: first\n\n') &&
+          text.includes(': keepalive\n\n') &&
+          text.includes('id: 1\ndata: second\n\n'),
+        'Invalid event stream: ' + JSON.stringify(text)
+      )
+      assert(
+        text.indexOf(': keepalive') < text.indexOf('data: second'),
+        'Expected keepalive comments while waiting for events'
+      )
+
+      // reconnecting clients continue the event sequence.
+      text = await read_event_stream(port, '/events.html/slow', 2000, {
+        'last-event-id': '7',
+      })
+      assert(
+        text.includes('id: 8\ndata: first\n\n') &&
+          text.includes('id: 9\ndata: second\n\n'),
+        'Event sequence did not continue from Last-Event-ID: ' +
+          JSON.stringify(text)
+      )
+
+      text = await read_event_stream(port, '/events.html/fail', 2000)
+      assert(
+        text.includes('event: error\nid: 1\n') &&
+          text.includes('failed in stream'),
+        'Expected an error event: ' + JSON.stringify(text)
+      )
+      assert(errors.length == 1, 'Expected the stream error to be emitted')
+    }
+  )
+}
+
+async function main() {
+  test_event_stream_text()
+  await test_stream_outlives_request_timeout()
+  await test_last_event_id_and_keepalive()
+  console.log('OK')
+}
+
+main().catch((err) => {
+  console.error(err)
+  process.exit(1)
+})
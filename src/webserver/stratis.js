@@ -5,7 +5,12 @@ const { Readable } = require('stream')
 const fs = require('fs')
 const { Request, Response, NextFunction } = require('express/index')
 const websocket = require('../utils/websocket.js')
-const { assert, with_timeout } = require('../common.js')
+const {
+  assert,
+  with_timeout,
+  set_value_at_object_path,
+  path_exists,
+} = require('../common.js')
 const { create_content_stream, stream_to_buffer } = require('../utils/streams')
 const { get_stream_content_type } = require('../utils/requests')
 const { StratisRequestsClient } = require('../utils/requests')
@@ -14,11 +19,38 @@ const {
   StratisNotFoundError,
   StratisError,
   StratisTimeOutError,
+  StratisCancelledError,
   StratisNotAuthorizedError,
+  StratisMethodNotAllowedError,
+  StratisValidationError,
+  StratisParseError,
+  StratisTooManyRequestsError,
+  StratisForbiddenError,
+  get_error_code,
 } = require('../errors')
 const { StratisRequest } = require('./requests.js')
+const {
+  ERROR_OVERLAY_TEMPLATE_PATH,
+  create_error_overlay_data,
+} = require('./error_overlay.js')
 const { StratisCodeModuleBank } = require('./code.js')
+const { StratisLiveReload } = require('./live_reload.js')
+const { StratisFileWatcher } = require('./watcher.js')
 const { StratisEJSTemplateBank } = require('./templates')
+const { crawl_stratis_pages, create_stratis_site_index } = require('./site')
+const { create_openapi_document } = require('./openapi')
+const { create_node_client_sdk } = require('./sdk')
+const {
+  invoke_jsonrpc_payload,
+  parse_jsonrpc_payload,
+  to_jsonrpc_error_response,
+} = require('./jsonrpc')
+const { accepts_event_stream, send_event_stream } = require('./sse')
+const {
+  get_websocket_client_key,
+  StratisWebSocketConnection,
+  StratisWebSocketConnections,
+} = require('./connections')
 
 const {
   StratisPageApiCall,
@@ -35,6 +67,12 @@ const {
   DEFAULT_TEMPLATE_OPTIONS,
   DEFAULT_TEMPLATE_BANK_OPTIONS,
   DEFAULT_CODE_MODULE_BANK_OPTIONS,
+  DEFAULT_WEBSOCKET_OPTIONS,
+  DEFAULT_LIVE_RELOAD_OPTIONS,
+  DEFAULT_FILE_WATCH_OPTIONS,
+  STRATIS_BATCH_API_NAME,
+  STRATIS_JSONRPC_API_NAME,
+  STRATIS_JSONRPC_PROTOCOL,
 } = require('./consts.js')
 
 /**
@@ -47,18 +85,33 @@ const {
  * @typedef {import('./interfaces').StratisEventEmitter} StratisEventEmitter
  * @typedef {import('./interfaces').StratisApiHandler} StratisApiHandler
  * @typedef {import('./interfaces').StratisApiWebSocketRequestArgs} StratisApiWebSocketRequestArgs
+ * @typedef {import('./interfaces').StratisApiBatchCall} StratisApiBatchCall
+ * @typedef {import('./interfaces').StratisApiBatchCallResult} StratisApiBatchCallResult
+ * @typedef {import('./interfaces').StratisErrorObject} StratisErrorObject
+ * @typedef {import('./jsonrpc').StratisJsonRpcResponse} StratisJsonRpcResponse
  * @typedef {import('./pages').StratisPageCallContext} StratisPageCallContext
  * @typedef {import('./requests').StratisFileAccessMode} StratisFileAccessMode
  * @typedef {import('./templates').StratisEJSOptions} StratisEJSOptions
  * @typedef {import('./templates').StratisEJSTemplateBankOptions} StratisEJSTemplateBankOptions
  * @typedef {import('./code').StratisCodeModule} StratisCodeModule
  * @typedef {import('./code').StratisCodeModuleBankOptions} StratisCodeModuleBankOptions
+ * @typedef {import('./openapi').StratisOpenApiOptions} StratisOpenApiOptions
+ * @typedef {import('./sdk').StratisClientSdkOptions} StratisClientSdkOptions
+ * @typedef {import('./sdk').StratisClientSdk} StratisClientSdk
+ * @typedef {import('./site').StratisSiteIndexPage} StratisSiteIndexPage
+ * @typedef {import('ws')} WebSocket
  */
 
 /**
  * @typedef {Object} StratisClientSideApiOptions
  * @property {string} api_code_path The path to the api code to use (render)
  * @property {number} timeout The client side api timeout. Defaults to server side timeout.
+ * @property {number} reconnect_min_delay The client side websocket min reconnect delay [ms] (exponential backoff)
+ * @property {number} reconnect_max_delay The client side websocket max reconnect delay [ms]
+ * @property {'auto'|'websocket'|'http'} transport The client side api call transport. If auto, use
+ * the websocket and fall back to http (fetch) if the websocket cannot connect.
+ * @property {number} websocket_connect_timeout The client side max time to wait for the websocket
+ * to connect before falling back to http [ms]
  */
 
 /**
@@ -106,6 +159,44 @@ const {
  * @property {StratisPageCallContext} page_context_constructor A page call context constructor
  * @property {integer} timeout The client side request timeout [ms]
  * @property {[string]} page_extensions A list of extensions that denote a template page. For example .html
+ * @property {integer} sse_keepalive_interval The interval in which to send keepalive comments over
+ * server sent events (Accept: text/event-stream) api calls [ms]
+ * @property {[string]} error_page_templates The error page templates to look for in the serve path, in order,
+ * where [status] is replaced by the http status code (e.g. 404.html). Rendered for browser (text/html) requests.
+ */
+
+/**
+ * @typedef {Object} StratisWebSocketOptions
+ * @property {integer} heartbeat_interval The websocket ping interval [ms]. Connections that did not
+ * respond (pong) since the last ping are terminated. If 0, no heartbeat.
+ * @property {integer} idle_timeout Close connections that did not send a message for this long [ms].
+ * If 0, no idle timeout.
+ * @property {integer} max_connections_per_client The max number of concurrent websocket connections per
+ * client (user or ip). Further connections are rejected with 429. If 0, no limit.
+ * @property {integer} message_rate_limit The max number of messages per connection per message_rate_interval.
+ * Further messages are rejected with 429. If 0, no limit.
+ * @property {integer} message_rate_interval The message rate limit interval [ms]
+ * @property {(stratis_request:StratisRequest)=>string} get_client_key Returns the connection client key
+ * (for max_connections_per_client). Defaults to the request user (username or id), or the client ip.
+ */
+
+/**
+ * @typedef {Object} StratisLiveReloadOptions
+ * @property {boolean} enabled If true, watch the serve path and send a live reload notice to the
+ * open pages (over the page api websocket) when their files change. Enables file watching
+ * (see StratisFileWatchOptions). For development.
+ */
+
+/**
+ * @typedef {Object} StratisFileWatchOptions
+ * @property {boolean} enabled If true, the template and code module banks reload their entries
+ * when the files change (reported by the file watcher), instead of checking the files modified
+ * time (stat) every reload interval.
+ * @property {import('./watcher').StratisFileWatchMode} mode The file watch mode. native uses fs.watch (inotify),
+ * poll checks the loaded files modified time every poll_interval. auto uses native,
+ * and falls back to polling if native watching is not available.
+ * @property {integer} poll_interval The files polling interval (poll mode) [ms]
+ * @property {integer} debounce Wait for the file changes to settle before reloading or notifying [ms]
  */
 
 /**
@@ -119,6 +210,10 @@ const {
  * @property {StratisCodeModuleBankOptions} code_module_bank_options A collection of options for the code module bank
  * @property {StratisMiddlewareOptions} middleware_options A collection of default middleware options.
  * @property {StratisClientSideApiOptions} client_api_options client api options.
+ * @property {StratisWebSocketOptions} websocket_options The page api websocket options.
+ * @property {StratisLiveReloadOptions} live_reload_options The live reload options.
+ * @property {StratisFileWatchOptions} file_watch_options The file watch options (template and code module
+ * banks, and live reload)
  */
 
 const STRATIS_CLIENTSIDE_API_DEFAULT_OPTIONS = {
@@ -143,6 +238,16 @@ function merge_missing(target, to_merge) {
   return target
 }
 
+/**
+ * The page api websocket server options. JSON-RPC 2.0 is selected by subprotocol.
+ */
+const WEBSOCKET_SERVER_OPTIONS = {
+  handleProtocols: (protocols) =>
+    protocols.has(STRATIS_JSONRPC_PROTOCOL)
+      ? STRATIS_JSONRPC_PROTOCOL
+      : protocols.values().next().value,
+}
+
 class Stratis extends events.EventEmitter {
   /**
    * Creates a file api handler that can be used to generate
@@ -158,6 +263,9 @@ class Stratis extends events.EventEmitter {
     template_options = null,
     template_bank_options = null,
     code_module_bank_options = null,
+    websocket_options = null,
+    live_reload_options = null,
+    file_watch_options = null,
   } = {}) {
     super()
 
@@ -206,6 +314,28 @@ class Stratis extends events.EventEmitter {
       DEFAULT_CODE_MODULE_BANK_OPTIONS
     )
 
+    /** @type {StratisWebSocketOptions} */
+    this.websocket_options = merge_missing(
+      websocket_options,
+      DEFAULT_WEBSOCKET_OPTIONS
+    )
+
+    /** @type {StratisLiveReloadOptions} */
+    this.live_reload_options = merge_missing(
+      live_reload_options,
+      DEFAULT_LIVE_RELOAD_OPTIONS
+    )
+
+    /** @type {StratisFileWatchOptions} */
+    this.file_watch_options = merge_missing(
+      file_watch_options,
+      DEFAULT_FILE_WATCH_OPTIONS
+    )
+
+    // live reload notifies the pages on file change events. The banks must reload from the
+    // same events, a page reloaded before the next modified time check renders the old files.
+    if (this.live_reload_options.enabled) this.file_watch_options.enabled = true
+
     this.page_options.page_context_constructor =
       this.page_options.page_context_constructor || StratisPageCallContext
 
@@ -236,6 +366,56 @@ class Stratis extends events.EventEmitter {
 
     /** @type {StratisRequestsClient} */
     this._requests = new StratisRequestsClient()
+
+    /** The open page api websocket connections */
+    this.websocket_connections = new StratisWebSocketConnections()
+
+    /**
+     * The shared page api websocket server. Attach to the http/https servers to handle
+     * their upgrade requests (see attach_websocket_server)
+     */
+    this.websocket_server = new websocket.StratisWebSocketServer(
+      WEBSOCKET_SERVER_OPTIONS
+    )
+
+    /**
+     * The live reload serve path watchers, by serve path (see live_reload_options)
+     * @type {Object<string, StratisLiveReload>}
+     */
+    this.live_reloads = {}
+
+    /** @type {StratisFileWatcher} */
+    this._file_watcher = null
+    if (this.file_watch_options.enabled) {
+      this.template_bank.watcher = this.file_watcher
+      this.code_module_bank.watcher = this.file_watcher
+    }
+  }
+
+  /**
+   * The file watcher, for the template and code module banks and live reload (see file_watch_options).
+   * Changed files are reloaded by the banks.
+   * @type {StratisFileWatcher}
+   */
+  get file_watcher() {
+    if (this._file_watcher == null) {
+      this._file_watcher = new StratisFileWatcher({
+        mode: this.file_watch_options.mode,
+        poll_interval: this.file_watch_options.poll_interval,
+        debounce: this.file_watch_options.debounce,
+      })
+      this._file_watcher.on('change', (filepath) => {
+        this.template_bank.invalidate(filepath)
+        this.code_module_bank.invalidate(filepath)
+      })
+      this._file_watcher.on('fallback', (dirpath, err) =>
+        this.logger.warn(
+          `Cannot watch ${dirpath} (${err.message}), polling the files instead`
+        )
+      )
+      this._file_watcher.on('error', (err) => this.emit('error', err))
+    }
+    return this._file_watcher
   }
 
   /**
@@ -310,16 +490,469 @@ class Stratis extends events.EventEmitter {
     return file_path.endsWith(this.template_options.codefile_extension)
   }
 
+  /**
+   * @param {string} serve_path The serve path.
+   * @returns {StratisFileAccessMode} The access mode for files without access modifiers.
+   */
+  get_default_access_mode(serve_path) {
+    return (
+      this.default_access_mode ||
+      (fs.existsSync(path.join(serve_path, 'public')) ? 'private' : 'public')
+    )
+  }
+
+  /**
+   * Creates an index of all the pages (with code files) in the serve path, including
+   * their access mode and api routes.
+   * @param {string} serve_path The serve path. Defaults to the middleware options serve path.
+   * @param {Object} param1
+   * @param {boolean} param1.include_private If true, include the private pages. Only for trusted
+   * callers (do not serve).
+   * @returns {[StratisSiteIndexPage]} The site index.
+   */
+  async create_site_index(serve_path = null, { include_private = false } = {}) {
+    serve_path = serve_path || this.middleware_options.serve_path
+    assert(serve_path != null, 'Serve path must be defined!')
+    return await create_stratis_site_index(this, serve_path, {
+      include_private,
+    })
+  }
+
+  /**
+   * Creates an OpenAPI 3 document for all the pages (with code files) in the serve path.
+   * @param {string} serve_path The serve path. Defaults to the middleware options serve path.
+   * @param {StratisOpenApiOptions} options The OpenAPI document options.
+   * @returns {Object} The OpenAPI document (json compatible)
+   */
+  async create_openapi_document(serve_path = null, options = {}) {
+    serve_path = serve_path || this.middleware_options.serve_path
+    assert(serve_path != null, 'Serve path must be defined!')
+
+    const pages = []
+    for (let page of await crawl_stratis_pages(this, serve_path)) {
+      if (page.access_mode == 'private') continue
+      pages.push({
+        query_path: page.query_path,
+        access_mode: page.access_mode,
+        code_module: await this.code_module_bank.load(page.codepath),
+      })
+    }
+
+    return create_openapi_document(pages, options)
+  }
+
+  /**
+   * Generates a node client module (and typings) for all the pages (with code files)
+   * in the serve path. Private pages are not included.
+   * @param {string} serve_path The serve path. Defaults to the middleware options serve path.
+   * @param {StratisClientSdkOptions} options The client sdk options.
+   * @returns {StratisClientSdk} The client module and typings sources.
+   */
+  async create_node_client_sdk(serve_path = null, options = {}) {
+    return create_node_client_sdk(
+      await this.create_site_index(serve_path),
+      options
+    )
+  }
+
   /**
    * @param {Error} err
    * @param {StratisExpressRequest} stratis_request
    */
   _internal_on_emit_error(err, req) {
+    const stratis_request = req == null ? null : req.stratis_request
     const request_log_errors =
-      req.stratis_request != null && req.stratis_request.log_errors === true
+      stratis_request != null && stratis_request.log_errors === true
 
     if (request_log_errors || this.logging_options.log_errors)
-      this.logger.error(err.stack || `${err}`)
+      this.logger.error(
+        stratis_request != null
+          ? `[${stratis_request.id}] ${err.stack || err}`
+          : err.stack || `${err}`
+      )
+  }
+
+  /**
+   * Subscribes the websocket to the page code module push notifications.
+   * @param {StratisRequest} stratis_request
+   * @param {WebSocket} ws
+   */
+  async _subscribe_websocket_push_notifications(stratis_request, ws) {
+    await this.code_module_bank.subscribe_push_notifications(
+      stratis_request.codepath,
+      ws
+    )
+  }
+
+  /**
+   * Send a readable (api call result) over the websocket as ordered frames,
+   * {rid, stream: true}, then {rid, chunk, seq} per chunk and {rid, end: true, seq}.
+   * Binary chunks (Buffer or Uint8Array) are sent as a {rid, binary: true, seq} header frame
+   * followed by a binary frame. Errors are sent as error frames by the caller.
+   * @param {WebSocket} ws The websocket.
+   * @param {string} rid The request id.
+   * @param {Readable} readable The readable to send.
+   * @param {AbortSignal} signal The call signal. If aborted, the readable is destroyed.
+   */
+  async _send_websocket_stream(ws, rid, readable, signal) {
+    const send = (frame) =>
+      new Promise((resolve, reject) =>
+        ws.send(
+          frame instanceof Uint8Array ? frame : JSON.stringify(frame),
+          (err) => (err != null ? reject(err) : resolve())
+        )
+      )
+
+    const on_abort = () => readable.destroy()
+    signal.addEventListener('abort', on_abort)
+
+    let seq = 0
+
+    try {
+      await send({ rid, stream: true })
+
+      for await (let chunk of readable) {
+        if (chunk instanceof Uint8Array) {
+          // the binary frame follows the header.
+          await send({ rid, binary: true, seq: seq++ })
+          await send(websocket.encode_binary_frame(rid, chunk))
+        } else if (chunk !== '') await send({ rid, chunk, seq: seq++ })
+      }
+
+      await send({ rid, end: true, seq })
+    } finally {
+      signal.removeEventListener('abort', on_abort)
+    }
+  }
+
+  /**
+   * Wait for the binary frames (uploads) of a websocket request and set them into
+   * the request args, as buffers, at the header binary paths.
+   * @param {StratisApiWebSocketRequestArgs} ws_request_args The request (header) args.
+   * @param {{payloads: [Buffer], on_payload: ()=>void}} frames The received request binary frames.
+   */
+  async _read_websocket_binary_args(ws_request_args, frames) {
+    const paths = ws_request_args.binary
+    assert(
+      Array.isArray(paths) && paths.every((p) => Array.isArray(p)),
+      'Invalid stratis api websocket request. Expected binary to be a list of args paths, e.g. [["file"]]'
+    )
+
+    await with_timeout(
+      () =>
+        new Promise((resolve) => {
+          frames.on_payload = () => {
+            if (frames.payloads.length >= paths.length) resolve()
+          }
+          frames.on_payload()
+        }),
+      this.page_options.timeout,
+      new StratisTimeOutError('Timed out waiting for websocket binary frames')
+    )
+
+    paths.forEach((path, idx) =>
+      set_value_at_object_path(ws_request_args.args, path, frames.payloads[idx])
+    )
+  }
+
+  /**
+   * Send a binary (api call result) over the websocket, as a {rid, binary: true}
+   * header frame followed by a binary frame.
+   * @param {WebSocket} ws The websocket.
+   * @param {string} rid The request id.
+   * @param {Uint8Array|ArrayBuffer} data The binary data.
+   */
+  async _send_websocket_binary(ws, rid, data) {
+    const send = (frame) =>
+      new Promise((resolve, reject) =>
+        ws.send(frame, (err) => (err != null ? reject(err) : resolve()))
+      )
+    await send(JSON.stringify({ rid, binary: true }))
+    await send(
+      websocket.encode_binary_frame(
+        rid,
+        data instanceof ArrayBuffer ? Buffer.from(data) : data
+      )
+    )
+  }
+
+  /**
+   * Invoke an api call with an existing (shared) call context, e.g. for batch calls.
+   * @param {StratisRequest} stratis_request
+   * @param {StratisPageCallContext} context The call context.
+   * @param {string} name The api method name.
+   * @param {Object} args The api method args.
+   * @param {string} http_method The request http method (REST), to check against the
+   * call allowed http methods. If null, not checked.
+   */
+  async _invoke_shared_context_api_call(
+    stratis_request,
+    context,
+    name,
+    args,
+    http_method = null
+  ) {
+    const code_object = (await context.get_code_module()).get_code_object(name)
+    if (
+      http_method != null &&
+      code_object != null &&
+      !code_object.is_http_method_allowed(http_method)
+    )
+      throw new StratisMethodNotAllowedError(
+        code_object.allowed_http_methods,
+        `Http method ${http_method} is not allowed for ${name}`
+      )
+
+    return await new StratisPageApiCall(
+      stratis_request,
+      name,
+      args || {}
+    ).invoke(context)
+  }
+
+  /**
+   * Invoke a batch of api calls with a shared call context. The calls run concurrently
+   * and errors are returned per call (do not fail the batch).
+   * @param {StratisRequest} stratis_request
+   * @param {[StratisApiBatchCall]} calls The batch calls.
+   * @param {StratisPageCallContext} context The shared call context.
+   * @param {string} http_method The batch http method (REST), to check against the call
+   * allowed http methods. If null, not checked.
+   * @returns {Promise<[StratisApiBatchCallResult]>} The call results, in order.
+   */
+  async _invoke_api_call_batch(
+    stratis_request,
+    calls,
+    context,
+    http_method = null
+  ) {
+    if (
+      !Array.isArray(calls) ||
+      calls.some(
+        (c) =>
+          c == null ||
+          typeof c.name != 'string' ||
+          (c.args != null && typeof c.args != 'object')
+      )
+    )
+      throw new StratisValidationError(
+        [{ path: 'calls', message: 'Expected [{name:string, args:{}}]' }],
+        'Invalid stratis api batch'
+      )
+
+    return await Promise.all(
+      calls.map(async ({ name, args }) => {
+        try {
+          const response = await this._invoke_shared_context_api_call(
+            stratis_request,
+            context,
+            name,
+            args,
+            http_method
+          )
+
+          if (response instanceof Readable) {
+            response.destroy()
+            throw new StratisError(
+              `Streamed results are not supported in batch calls (${name})`
+            )
+          }
+
+          return { response }
+        } catch (err) {
+          this.emit_error(err, stratis_request.request)
+          return { error: this._render_error_object(err, stratis_request) }
+        }
+      })
+    )
+  }
+
+  /**
+   * Invoke a JSON-RPC 2.0 payload (request, notification or batch) with a shared call context.
+   * @param {StratisRequest} stratis_request
+   * @param {any} payload The parsed JSON-RPC payload.
+   * @param {StratisPageCallContext} context The shared call context.
+   * @param {Object} param3
+   * @param {string} param3.http_method The request http method (REST), to check against the
+   * call allowed http methods. If null, not checked.
+   * @param {number} param3.timeout The call timeout [ms]. If null, no timeout.
+   * @param {AbortController} param3.abort_controller Aborted if a call timed out.
+   * @param {(err:Error)=>any} param3.on_error Called for each failed call.
+   * @param {Error} param3.reject_with If not null, all calls fail with this error (e.g. rate limited),
+   * and are not invoked.
+   * @returns {Promise<StratisJsonRpcResponse|[StratisJsonRpcResponse]>} The response(s), or
+   * null if there is nothing to respond with (notifications only)
+   */
+  async _invoke_jsonrpc_payload(
+    stratis_request,
+    payload,
+    context,
+    {
+      http_method = null,
+      timeout = null,
+      abort_controller = null,
+      on_error = null,
+      reject_with = null,
+    } = {}
+  ) {
+    const invoke = async (name, args) => {
+      if (reject_with != null) throw reject_with
+      return await this._invoke_shared_context_api_call(
+        stratis_request,
+        context,
+        name,
+        args,
+        http_method
+      )
+    }
+
+    return await invoke_jsonrpc_payload(
+      payload,
+      (name, args) =>
+        timeout == null
+          ? invoke(name, args)
+          : with_timeout(
+              () => invoke(name, args),
+              timeout,
+              new StratisTimeOutError('JSON-RPC call timed out'),
+              abort_controller
+            ),
+      (err) => {
+        this.emit_error(err, stratis_request.request)
+        if (on_error != null) on_error(err)
+        return this._render_error_object(err, stratis_request)
+      },
+      async (name) => {
+        const code_object = (await context.get_code_module()).get_code_object(
+          name
+        )
+        return code_object == null ? null : code_object.arg_names
+      }
+    )
+  }
+
+  /**
+   * Invoke a code file websocket hook (on_connect, on_disconnect or on_message_error), if
+   * defined in the page code module.
+   * @param {StratisWebSocketConnection} connection The websocket connection.
+   * @param {string} name The hook name.
+   * @param {StratisPageCallContext} context The hook call context. If null, a connection
+   * context is created.
+   * @param  {...any} args The hook args (after the context)
+   */
+  async _invoke_websocket_hook(connection, name, context = null, ...args) {
+    const stratis_request = connection.stratis_request
+    const hook = (
+      await this.code_module_bank.load(stratis_request.codepath)
+    ).as_websocket_hooks()[name]
+    if (hook == null) return
+
+    context =
+      context ||
+      new this.page_options.page_context_constructor({
+        stratis_request,
+        ws: connection.ws,
+        connection,
+      })
+
+    return await hook(context, ...args)
+  }
+
+  /**
+   * Handle a JSON-RPC 2.0 websocket connection (jsonrpc-2.0 subprotocol). Each message
+   * is a JSON-RPC payload. Push notifications are sent as JSON-RPC notifications.
+   * @param {StratisWebSocketConnection} connection
+   */
+  _handle_jsonrpc_websocket(connection) {
+    const { ws, stratis_request } = connection
+
+    /** @type {Set<AbortController>} */
+    const running_calls = new Set()
+
+    const websocket_options = this.websocket_options
+
+    ws.on('message', async (data) => {
+      connection.touch()
+      const within_rate_limit = connection.count_message(
+        websocket_options.message_rate_limit,
+        websocket_options.message_rate_interval
+      )
+
+      if (!(await connection.ready)) return
+
+      const abort_controller = new AbortController()
+      running_calls.add(abort_controller)
+
+      let response = null
+      let context = null
+      const on_error = (err) =>
+        this._invoke_websocket_hook(
+          connection,
+          'on_message_error',
+          context,
+          err
+        ).catch((err) => this.emit_error(err, stratis_request.request))
+
+      try {
+        const payload = await parse_jsonrpc_payload(
+          data,
+          stratis_request.request.headers['content-encoding']
+        )
+
+        context = new this.page_options.page_context_constructor({
+          stratis_request,
+          ws,
+          signal: abort_controller.signal,
+          connection,
+        })
+
+        stratis_request._context = context
+
+        // invoking the event.
+        await this.emit_stratis_request(stratis_request)
+
+        response = await this._invoke_jsonrpc_payload(
+          stratis_request,
+          payload,
+          context,
+          {
+            timeout: this.page_options.timeout,
+            abort_controller,
+            on_error,
+            reject_with: within_rate_limit
+              ? null
+              : new StratisTooManyRequestsError(
+                  'Websocket message rate limit exceeded'
+                ),
+          }
+        )
+      } catch (err) {
+        this.emit_error(err, stratis_request.request)
+        on_error(err)
+        response = to_jsonrpc_error_response(null, err, (err) =>
+          this._render_error_object(err, stratis_request)
+        )
+      } finally {
+        running_calls.delete(abort_controller)
+      }
+
+      // the client is no longer waiting for the response.
+      if (response == null || ws.readyState != ws.OPEN) return
+
+      try {
+        ws.send(JSON.stringify(response))
+      } catch (err) {
+        this.emit_error(err, stratis_request.request)
+      }
+    })
+
+    ws.on('close', () => {
+      for (let running of running_calls)
+        running.abort(new StratisCancelledError('Websocket closed'))
+      running_calls.clear()
+      this.emit('websocket_close', ws)
+    })
+    ws.on('error', (err) => this.emit_error(err, stratis_request.request))
   }
 
   /**
@@ -328,52 +961,212 @@ class Stratis extends events.EventEmitter {
    * @param {NextFunction} next
    */
   async handle_websocket_request(stratis_request, res, next) {
-    websocket((ws, ws_request) => {
-      ws.on('message', async (data) => {
+    const websocket_options = this.websocket_options
+    const client_key = (
+      websocket_options.get_client_key || get_websocket_client_key
+    )(stratis_request)
+
+    if (
+      websocket_options.max_connections_per_client > 0 &&
+      this.websocket_connections.count(client_key) >=
+        websocket_options.max_connections_per_client
+    )
+      throw new StratisTooManyRequestsError(
+        'Too many websocket connections for client'
+      )
+
+    // reserve the slot before the (async) upgrade. A failed upgrade closes the socket.
+    const release = this.websocket_connections.reserve(client_key)
+    const req = stratis_request.request
+    req.socket.once('close', release)
+
+    this.websocket_server.handle_upgrade(req, (ws) => {
+      release()
+      this._subscribe_websocket_push_notifications(stratis_request, ws).catch(
+        (err) => this.emit_error(err, stratis_request.request)
+      )
+
+      const connection = new StratisWebSocketConnection({
+        ws,
+        stratis_request,
+        client_key,
+      })
+
+      this.websocket_connections.add(connection)
+      connection.start_keepalive(websocket_options)
+
+      // a failed on_connect hook rejects the connection.
+      connection.ready = this._invoke_websocket_hook(
+        connection,
+        'on_connect'
+      ).then(
+        () => true,
+        (err) => {
+          this.emit_error(err, stratis_request.request)
+          const code = (err.http_response_code || 500) < 500 ? 1008 : 1011
+          ws.close(code, `${err.message || err}`.substring(0, 120))
+          return false
+        }
+      )
+
+      ws.on('close', async (code) => {
+        try {
+          if (await connection.ready)
+            await this._invoke_websocket_hook(
+              connection,
+              'on_disconnect',
+              null,
+              code
+            )
+        } catch (err) {
+          this.emit_error(err, stratis_request.request)
+        }
+      })
+
+      if (ws.protocol == STRATIS_JSONRPC_PROTOCOL)
+        return this._handle_jsonrpc_websocket(connection)
+
+      /**
+       * The abort controllers of the running calls, by request id.
+       * @type {Map<string, AbortController>}
+       */
+      const running_calls = new Map()
+
+      /**
+       * The received binary frames (uploads), by request id. Binary frames are sent
+       * after their header frame, but may be received before the header was parsed.
+       * @type {Map<string, {payloads: [Buffer], on_payload: ()=>void}>}
+       */
+      const binary_frames = new Map()
+      const get_binary_frames = (rid) => {
+        if (!binary_frames.has(rid))
+          binary_frames.set(rid, { payloads: [], on_payload: null })
+        return binary_frames.get(rid)
+      }
+
+      ws.on('message', async (data, is_binary) => {
+        connection.touch()
+
+        if (is_binary) {
+          try {
+            const { rid, payload } = websocket.decode_binary_frame(data)
+            const frames = get_binary_frames(rid)
+            frames.payloads.push(payload)
+            if (frames.on_payload != null) frames.on_payload()
+          } catch (err) {
+            this.emit_error(err, stratis_request.request)
+          }
+          return
+        }
+
+        const within_rate_limit = connection.count_message(
+          websocket_options.message_rate_limit,
+          websocket_options.message_rate_interval
+        )
+
+        if (!(await connection.ready)) return
+
         /** @type {StratisApiWebSocketRequestArgs} */
         let ws_request_args = {}
+        /** @type {StratisPageCallContext} */
+        let context = null
+        const abort_controller = new AbortController()
         try {
           ws_request_args = await StratisPageApiCall.parse_api_call_args(
             data,
             {},
             stratis_request.request.headers['content-encoding']
           )
+
+          // cancel frame, {rid, cancel: true}
+          if (ws_request_args.cancel === true) {
+            const running = running_calls.get(ws_request_args.rid)
+            if (running != null)
+              running.abort(
+                new StratisCancelledError('Call cancelled by client')
+              )
+            return
+          }
+
+          if (!within_rate_limit)
+            throw new StratisTooManyRequestsError(
+              'Websocket message rate limit exceeded'
+            )
+
+          // batch frame, {rid, batch: [{name, args}]}
+          const is_batch = ws_request_args.batch != null
+
           ws_request_args.args = ws_request_args.args || {}
           if (
             ws_request_args.rid == null ||
-            ws_request_args.name == null ||
-            typeof ws_request_args.args != 'object'
+            (!is_batch &&
+              (ws_request_args.name == null ||
+                typeof ws_request_args.args != 'object'))
           )
             throw Error(
-              'Invalid stratis api websocket request. Expected {rid:string, name:string, args:{} }'
+              'Invalid stratis api websocket request. Expected {rid:string, name:string, args:{} } or {rid:string, batch:[{name:string, args:{}}]}'
             )
 
-          const call = new StratisPageApiCall(
-            stratis_request,
-            ws_request_args.name,
-            ws_request_args.args
-          )
+          if (ws_request_args.binary != null)
+            await this._read_websocket_binary_args(
+              ws_request_args,
+              get_binary_frames(ws_request_args.rid)
+            )
 
-          const context = new this.page_options.page_context_constructor({
+          const call = is_batch
+            ? null
+            : new StratisPageApiCall(
+                stratis_request,
+                ws_request_args.name,
+                ws_request_args.args
+              )
+
+          context = new this.page_options.page_context_constructor({
             stratis_request,
             ws,
+            signal: abort_controller.signal,
+            connection,
           })
 
           stratis_request._context = context
+          running_calls.set(ws_request_args.rid, abort_controller)
 
           // invoking the event.
           await this.emit_stratis_request(stratis_request)
 
           let rsp_data = await with_timeout(
             async () => {
+              if (is_batch)
+                return await this._invoke_api_call_batch(
+                  stratis_request,
+                  ws_request_args.batch,
+                  context
+                )
               return await call.invoke(context)
             },
             this.page_options.timeout,
-            new StratisTimeOutError('Websocket request timed out')
+            new StratisTimeOutError('Websocket request timed out'),
+            abort_controller
           )
 
           if (rsp_data instanceof Readable)
-            rsp_data = await stream_to_buffer(rsp_data)
+            return await this._send_websocket_stream(
+              ws,
+              ws_request_args.rid,
+              rsp_data,
+              abort_controller.signal
+            )
+
+          // the client is no longer waiting for the response.
+          if (abort_controller.signal.reason instanceof StratisCancelledError)
+            return
+
+          if (rsp_data instanceof Uint8Array || rsp_data instanceof ArrayBuffer)
+            return await this._send_websocket_binary(
+              ws,
+              ws_request_args.rid,
+              rsp_data
+            )
 
           ws.send(
             JSON.stringify({
@@ -382,28 +1175,43 @@ class Stratis extends events.EventEmitter {
             })
           )
         } catch (err) {
+          if (abort_controller.signal.reason instanceof StratisCancelledError)
+            return
           this.emit_error(err, stratis_request.request)
+          this._invoke_websocket_hook(
+            connection,
+            'on_message_error',
+            context,
+            err
+          ).catch((err) => this.emit_error(err, stratis_request.request))
           try {
             ws.send(
               JSON.stringify({
                 rid: ws_request_args.rid,
                 reload: err.requires_reload === true,
-                error: this._render_error_text(
-                  err,
-                  stratis_request.return_stack_trace_to_client
-                ),
+                error: this._render_error_object(err, stratis_request),
               })
             )
           } catch (err) {
             this.emit_error(err, stratis_request.request)
           }
+        } finally {
+          if (running_calls.get(ws_request_args.rid) == abort_controller)
+            running_calls.delete(ws_request_args.rid)
+          binary_frames.delete(ws_request_args.rid)
         }
       })
 
       ws.on('open', () => this.emit('websocket_open', ws))
-      ws.on('close', () => this.emit('websocket_close', ws))
+      ws.on('close', () => {
+        for (let running of running_calls.values())
+          running.abort(new StratisCancelledError('Websocket closed'))
+        running_calls.clear()
+        binary_frames.clear()
+        this.emit('websocket_close', ws)
+      })
       ws.on('error', (err) => this.emit_error(err, stratis_request.request))
-    })(stratis_request.request, res, next)
+    })
   }
 
   /**
@@ -418,6 +1226,114 @@ class Stratis extends events.EventEmitter {
       .filter((v) => v.trim().length > 0)
       .join('.')
 
+    // a client disconnect before the response was sent cancels the call.
+    const abort_controller = new AbortController()
+    res.on('close', () => {
+      if (!res.writableFinished)
+        abort_controller.abort(
+          new StratisCancelledError('Http client disconnected')
+        )
+    })
+
+    const context = new this.page_options.page_context_constructor({
+      stratis_request,
+      res,
+      next,
+      signal: abort_controller.signal,
+    })
+
+    stratis_request._context = context
+
+    if (name == STRATIS_BATCH_API_NAME) {
+      if (stratis_request.request.method != 'POST')
+        throw new StratisMethodNotAllowedError(
+          ['POST'],
+          `Http method ${stratis_request.request.method} is not allowed for ${name}`
+        )
+
+      const { calls } = await StratisPageApiCall.parse_api_call_args(
+        stratis_request.request.body || stratis_request.request,
+        null,
+        stratis_request.request.headers['content-encoding']
+      )
+
+      const results = await this._invoke_api_call_batch(
+        stratis_request,
+        calls,
+        context,
+        stratis_request.request.method
+      )
+
+      if (res.writableEnded) return
+      res.setHeader('Content-Type', 'application/json')
+      return res.end(JSON.stringify(results))
+    }
+
+    if (name == STRATIS_JSONRPC_API_NAME) {
+      if (stratis_request.request.method != 'POST')
+        throw new StratisMethodNotAllowedError(
+          ['POST'],
+          `Http method ${stratis_request.request.method} is not allowed for ${name}`
+        )
+
+      let response = null
+      try {
+        response = await this._invoke_jsonrpc_payload(
+          stratis_request,
+          await parse_jsonrpc_payload(
+            stratis_request.request.body || stratis_request.request,
+            stratis_request.request.headers['content-encoding']
+          ),
+          context,
+          { http_method: stratis_request.request.method }
+        )
+      } catch (err) {
+        if (!(err instanceof StratisParseError)) throw err
+        response = to_jsonrpc_error_response(null, err, (err) =>
+          this._render_error_object(err, stratis_request)
+        )
+      }
+
+      if (res.writableEnded) return
+      // notifications only.
+      if (response == null) return res.status(204).end()
+      res.setHeader('Content-Type', 'application/json')
+      return res.end(JSON.stringify(response))
+    }
+
+    const code_module = await context.get_code_module()
+
+    // check http method restrictions.
+    const code_object = code_module.get_code_object(name)
+
+    // preflight (CORS) requests for restricted methods get the allowed http methods.
+    if (
+      stratis_request.request.method == 'OPTIONS' &&
+      code_object != null &&
+      code_object.allowed_http_methods != null
+    ) {
+      res.setHeader(
+        'Allow',
+        code_object.allowed_http_methods.concat(['OPTIONS']).join(', ')
+      )
+      return res.status(204).end()
+    }
+
+    if (
+      code_object != null &&
+      !code_object.is_http_method_allowed(stratis_request.request.method)
+    )
+      throw new StratisMethodNotAllowedError(
+        code_object.allowed_http_methods,
+        `Http method ${stratis_request.request.method} is not allowed for ${name}`
+      )
+
+    // raw express request handlers are called without parsing the payload.
+    const request_handler = code_module.as_request_handlers()[name]
+
+    if (request_handler != null)
+      return await request_handler(stratis_request.request, res, next)
+
     // checking request payload type.
     const encoding =
       stratis_request.request.headers['content-encoding'] || 'utf-8'
@@ -441,18 +1357,25 @@ class Stratis extends events.EventEmitter {
       true
     )
 
-    const context = new this.page_options.page_context_constructor({
-      stratis_request,
-      res,
-      next,
-    })
-
-    stratis_request._context = context
-
     let rslt = await call.invoke(context)
 
     if (res.writableEnded) return
 
+    if (accepts_event_stream(stratis_request.request)) {
+      // not awaited, event streams are long lived and are not limited by the
+      // request timeout. Stopped when the client disconnects.
+      send_event_stream(res, rslt, {
+        keepalive_interval: this.page_options.sse_keepalive_interval,
+        signal: abort_controller.signal,
+        last_event_id: context.last_event_id,
+        render_error: (err) => {
+          this.emit_error(err, stratis_request.request)
+          return { error: this._render_error_object(err, stratis_request) }
+        },
+      }).catch((err) => this.emit_error(err, stratis_request.request))
+      return
+    }
+
     if (rslt instanceof Readable) {
       /** @type {Readable} */
       const readable_rslt = rslt
@@ -474,9 +1397,16 @@ class Stratis extends events.EventEmitter {
       })
     }
 
-    // all but buffer should be converted.
+    // all but buffer and string should be converted. Numbers and booleans are sent as
+    // json as well (res.end only accepts strings and buffers), so clients can parse them.
     if (rslt instanceof Buffer) {
-    } else if (typeof rslt == 'object') rslt = JSON.stringify(rslt)
+      if (!res.headersSent && !res.hasHeader('content-type'))
+        res.setHeader('Content-Type', 'application/octet-stream')
+    } else if (typeof rslt != 'string' && rslt !== undefined) {
+      if (!res.headersSent && !res.hasHeader('content-type'))
+        res.setHeader('Content-Type', 'application/json')
+      rslt = JSON.stringify(rslt)
+    }
 
     return res.end(rslt)
   }
@@ -534,6 +1464,104 @@ class Stratis extends events.EventEmitter {
     return return_stack_trace ? `${err.stack || err}` : `${err.message || err}`
   }
 
+  /**
+   * @param {Error} err The error
+   * @param {StratisRequest} stratis_request The request (if any)
+   * @returns {StratisErrorObject} The error object to send to the client (REST, websocket,
+   * batch, JSON-RPC and server sent events)
+   */
+  _render_error_object(err, stratis_request = null) {
+    stratis_request = stratis_request || {}
+    return {
+      code: get_error_code(err),
+      status: err.http_response_code || 500,
+      message: this._render_error_text(
+        err,
+        stratis_request.return_stack_trace_to_client
+      ),
+      details: err.details == null ? null : err.details,
+      request_id: stratis_request.id || null,
+    }
+  }
+
+  /**
+   * @param {StratisRequest} stratis_request
+   * @param {number} status The http status code.
+   * @returns {Promise<string>} The error page template path (see page_options.error_page_templates),
+   * or null if not found.
+   */
+  async _find_error_page_template(stratis_request, status) {
+    for (let name of this.page_options.error_page_templates || []) {
+      const template_path = path.join(
+        stratis_request.serve_path,
+        name.replace('[status]', status)
+      )
+      if (await path_exists(template_path, { allow_directory: false }))
+        return template_path
+    }
+    return null
+  }
+
+  /**
+   * Render the error page template (e.g. [serve_path]/404.html or [serve_path]/error.html)
+   * with the error, status and request.
+   * @param {StratisErrorObject} error The error object.
+   * @param {StratisRequest} stratis_request The request (if any)
+   * @returns {Promise<string>} The rendered error page, or null if there is no error page or
+   * the error page failed to render.
+   */
+  async _render_error_page(error, stratis_request = null) {
+    if (stratis_request == null || stratis_request.is_websocket_request)
+      return null
+
+    const template_path = await this._find_error_page_template(
+      stratis_request,
+      error.status
+    )
+    if (template_path == null) return null
+
+    try {
+      return await this.template_bank.render(template_path, {
+        error,
+        status: error.status,
+        request: stratis_request.request,
+        stratis_request,
+      })
+    } catch (err) {
+      this.emit('error', err, stratis_request.request)
+      return null
+    }
+  }
+
+  /**
+   * Render the dev mode error overlay page, with the failing template or code file source,
+   * the template include chain and the request details. Rendered for application (5xx) errors
+   * when the request returns the stack trace to the client (show_app_errors).
+   * @param {Error} err The original error.
+   * @param {StratisErrorObject} error The error object.
+   * @param {StratisRequest} stratis_request The request (if any)
+   * @returns {Promise<string>} The rendered error overlay, or null if not applicable.
+   */
+  async _render_error_overlay(err, error, stratis_request = null) {
+    if (
+      stratis_request == null ||
+      stratis_request.is_websocket_request ||
+      !stratis_request.return_stack_trace_to_client ||
+      error.status < 500
+    )
+      return null
+
+    try {
+      return await this.template_bank.render(
+        ERROR_OVERLAY_TEMPLATE_PATH,
+        await create_error_overlay_data(err, error, stratis_request)
+      )
+    } catch (overlay_err) {
+      this.emit('error', overlay_err, stratis_request.request)
+      return null
+    }
+  }
+
   /**
    * Handle errors with stratis.
    * @param {Error} err The error
@@ -544,16 +1572,34 @@ class Stratis extends events.EventEmitter {
   async handle_errors(err, req, res, next) {
     /** @type {StratisRequest} */
     const stratis_request = req.stratis_request || {}
-    if (err instanceof StratisError) await err.handle_error(req, res, next)
 
     // Check the emit error event. Will be false if defined.
     if (err.emit_error !== false) this.emit_error(err, req)
 
+    // the response was already started (e.g. a result stream failed mid pipe),
+    // cannot send the error. Close the connection (as the express default handler).
+    if (res.headersSent) return res.destroy()
+
+    if (err instanceof StratisError) await err.handle_error(req, res, next)
+
     res.status(err.http_response_code || 500)
 
-    res.end(
-      this._render_error_text(err, stratis_request.return_stack_trace_to_client)
-    )
+    const error = this._render_error_object(err, req.stratis_request)
+    if (error.request_id != null)
+      res.setHeader('X-Request-Id', error.request_id)
+
+    // browser page requests get the error page, or the error message as text.
+    if (req.accepts(['json', 'html']) == 'html') {
+      const error_page =
+        (await this._render_error_overlay(err, error, req.stratis_request)) ||
+        (await this._render_error_page(error, req.stratis_request))
+      if (error_page == null) return res.end(error.message)
+      res.setHeader('content-type', 'text/html; charset=utf-8')
+      return res.end(error_page)
+    }
+
+    res.setHeader('content-type', 'application/json')
+    res.end(JSON.stringify({ error }))
   }
 
   /**
@@ -590,6 +1636,80 @@ class Stratis extends events.EventEmitter {
     delete res.stratis_request
   }
 
+  /**
+   * Authenticate a request, and check the permission for secure requests
+   * (see session_options.is_permitted).
+   * @param {StratisRequest} stratis_request
+   * @param {StratisExpressResponse} res
+   * @param {(req,res,next,secure:boolean)=>any} authenticate The authenticate middleware.
+   * @returns {boolean} False if the response has ended (e.g. a login redirect)
+   */
+  async _authenticate_request(stratis_request, res, authenticate) {
+    const req = stratis_request.request
+
+    // authentication runs internally so next would mean continue
+    let sf_next_error = null
+    const sf_next = (...args) => {
+      if (args[0] instanceof Error) sf_next_error = args[0]
+    }
+
+    await authenticate(
+      req,
+      res,
+      sf_next,
+      stratis_request.access_mode == 'secure'
+    )
+
+    // checking for errors.
+    if (sf_next_error != null) {
+      throw sf_next_error
+    }
+
+    // response has ended. Either redirect or response.
+    // no need to continue.
+    if (res.writableEnded) return false
+
+    if (stratis_request.access_mode == 'secure') {
+      if (!(await stratis_request.is_permitted()))
+        throw new StratisNotAuthorizedError(
+          `Cannot access secure resources. Permission for ${
+            stratis_request.query_path || req.path
+          } denied.`
+        )
+    }
+
+    return true
+  }
+
+  /**
+   * Authenticate a (non page) request as a secure page request, using the middleware
+   * options authenticate method. Use to protect routes that expose the secure pages
+   * (e.g. a site index).
+   * @param {StratisExpressRequest} req The express request.
+   * @param {StratisExpressResponse} res The express response.
+   * @param {string} serve_path The serve path. Defaults to the middleware options serve path.
+   * @returns {boolean} False if the response has ended (e.g. a login redirect)
+   */
+  async authenticate_secure_request(req, res, serve_path = null) {
+    const { authenticate = null, user_key } = this.middleware_options
+    if (authenticate == null) return true
+
+    serve_path = serve_path || this.middleware_options.serve_path
+    assert(serve_path != null, 'Serve path must be defined!')
+
+    return await this._authenticate_request(
+      new StratisRequest({
+        serve_path,
+        stratis: this,
+        request: req,
+        access_mode: 'secure',
+        user_key,
+      }),
+      res,
+      authenticate
+    )
+  }
+
   /**
    * Creates an express middleware that serves requests.
    * @param {StratisMiddlewareOptions} options
@@ -627,9 +1747,10 @@ class Stratis extends events.EventEmitter {
     )
 
     /** @type {StratisFileAccessMode} */
-    const default_access_mode =
-      this.default_access_mode ||
-      (fs.existsSync(path.join(serve_path, 'public')) ? 'private' : 'public')
+    const default_access_mode = this.get_default_access_mode(serve_path)
+
+    if (this.file_watch_options.enabled) this.file_watcher.watch(serve_path)
+    if (this.live_reload_options.enabled) this.start_live_reload(serve_path)
 
     /**
      * Interception function for the middleware.
@@ -678,41 +1799,22 @@ class Stratis extends events.EventEmitter {
         // check permissions
         if (stratis_request.access_mode == 'private') {
           if (next_on_private) return next()
-          if (stratis_request.is_codefile)
-            res.write('Direct access to codefiles is always forbidden')
-          return res.sendStatus(403)
+          throw new StratisForbiddenError(
+            stratis_request.is_codefile
+              ? 'Direct access to codefiles is always forbidden'
+              : 'Forbidden'
+          )
         }
 
-        if (authenticate != null) {
-          // authentication runs internally so next would mean continue
-          let sf_next_error = null
-          const sf_next = (...args) => {
-            if (args[0] instanceof Error) sf_next_error = args[0]
-          }
-
-          await authenticate(
-            req,
+        if (
+          authenticate != null &&
+          !(await this._authenticate_request(
+            stratis_request,
             res,
-            sf_next,
-            stratis_request.access_mode == 'secure'
-          )
-
-          // checking for errors.
-          if (sf_next_error != null) {
-            throw sf_next_error
-          }
-
-          // response has ended. Either redirect or response.
-          // no need to continue.
-          if (res.writableEnded) return
-
-          if (stratis_request.access_mode == 'secure') {
-            if (!(await stratis_request.is_permitted()))
-              throw new StratisNotAuthorizedError(
-                `Cannot access secure resources. Permission for ${stratis_request.query_path} denied.`
-              )
-          }
-        }
+            authenticate
+          ))
+        )
+          return
 
         if (!stratis_request.is_page)
           // file download.
@@ -738,6 +1840,44 @@ class Stratis extends events.EventEmitter {
     return intercept
   }
 
+  /**
+   * Handle the http/https server upgrade requests with the shared websocket server. Upgrade
+   * requests are routed (by path) to the pages through the express app.
+   * @param {http.Server} server The http/https server.
+   * @param {express.Express} app The express app (with the stratis middleware)
+   */
+  attach_websocket_server(server, app) {
+    this.websocket_server.attach(server, app)
+  }
+
+  /**
+   * Watch the serve path and send a live reload notice to the open pages when their
+   * files change (see StratisLiveReload). Called by the middleware if live_reload_options.enabled.
+   * @param {string} serve_path The serve path.
+   * @returns {StratisLiveReload}
+   */
+  start_live_reload(serve_path) {
+    serve_path = path.resolve(serve_path)
+    if (this.live_reloads[serve_path] == null) {
+      this.live_reloads[serve_path] = new StratisLiveReload(this, serve_path)
+      this.live_reloads[serve_path].start()
+    }
+    return this.live_reloads[serve_path]
+  }
+
+  /**
+   * Close all the page api websockets and stop accepting new ones (e.g. on shutdown)
+   * @param {Object} param0
+   * @param {number} param0.timeout The max time to wait for the websockets to close
+   * before they are terminated [ms]
+   */
+  async close({ timeout = 1000 * 5 } = {}) {
+    for (let live_reload of Object.values(this.live_reloads)) live_reload.stop()
+    this.live_reloads = {}
+    if (this._file_watcher != null) this._file_watcher.close()
+    await this.websocket_server.close({ timeout })
+  }
+
   /**
    * Creates a new express server to use with the Stratis.
    * @param {StratisMiddlewareOptions} options The middleware options.
@@ -22,6 +22,13 @@ require('./templates.strings.js')
  * @typedef {ejs.Options & StratisEJSOptionsExtension} StratisEJSOptions
  */
 
+/**
+ * @typedef {Object} StratisTemplateErrorFrame
+ * @property {string} filepath The template filepath.
+ * @property {number} line The line in the template source (1 based). Null if unknown.
+ * @property {number} column The column in the template source (1 based). Null if unknown.
+ */
+
 /**
  * @type {StratisEJSOptions}
  */
@@ -125,6 +132,10 @@ class StratisEJSTemplateRenderContext {
     assert(typeof fpath == 'string', 'Include filepath must be a string')
 
     fpath = this.resolve_template_relative_path(fpath)
+    this.template_bank.add_dependency(
+      this.page_template.template_filepath,
+      fpath
+    )
 
     const template = this.template_bank.load(fpath)
     const context = new StratisEJSTemplateRenderContext(
@@ -157,8 +168,11 @@ class StratisEJSTemplateRenderContext {
    * Template method. Renders the file api script tag.
    * @param {string} api_name The name of the api to use. Defaults
    * to name of the file.
+   * @param {Object} param1
+   * @param {'auto'|'websocket'|'http'} param1.transport The api call transport. If auto,
+   * use the websocket and fall back to http if the websocket cannot connect.
    */
-  render_stratis_script_tag(api_name = null) {
+  render_stratis_script_tag(api_name = null, { transport = null } = {}) {
     const url_path = this.is_page
       ? path.basename(this.template.template_filepath)
       : path.relative(
@@ -179,7 +193,9 @@ class StratisEJSTemplateRenderContext {
     const api_query = Object.entries({
       api_name,
       websocket_path: url_path,
+      transport,
     })
+      .filter((e) => e[1] != null)
       .map((e) => `${e[0]}=${encodeURIComponent(e[1])}`)
       .join('&')
 
@@ -235,8 +251,14 @@ class StratisEJSTemplate {
     this._last_compiled = null
     /** @type {number} */
     this._last_file_change_ms = null
+    /** @type {boolean} The template file changed (reported by the bank watcher) */
+    this._invalidated = false
 
     this._render = null
+    /** @type {[string]} */
+    this._template_lines = null
+    /** @type {[string]} The compiled (generated) function source lines */
+    this._compiled_source_lines = null
   }
 
   /**
@@ -263,33 +285,158 @@ class StratisEJSTemplate {
   }
 
   /**
-   * Compile the stratis template if needed.
+   * Mark the template file as changed. Recompiled on the next render (file watch mode).
+   */
+  invalidate() {
+    this._invalidated = true
+  }
+
+  /**
+   * Compile the stratis template if needed. If the bank has a file watcher, recompiled
+   * only when invalidated, otherwise when the file modified time changes (checked every
+   * recompile interval).
    */
   async compile() {
-    const elapsed_since_last_compiled =
-      this._last_compiled == null ? Infinity : new Date() - this._last_compiled
+    if (this.bank.watcher != null) {
+      if (this._render != null && !this._invalidated) return
+      // cleared before reading, a change reported while reading is not lost.
+      this._invalidated = false
+    } else {
+      const elapsed_since_last_compiled =
+        this._last_compiled == null
+          ? Infinity
+          : new Date() - this._last_compiled
+
+      if (elapsed_since_last_compiled < this.recompile_interval) return
+
+      const stats = await path_stat(this.template_filepath)
+      assert(
+        stats != null,
+        new StratisNotFoundError(
+          `Template file ${this.template_filepath} not found`
+        )
+      )
 
-    if (elapsed_since_last_compiled < this.recompile_interval) return
+      if (this._render != null && stats.mtimeMs == this._last_file_change_ms) {
+        this._last_compiled = new Date()
+        return
+      }
+      this._last_file_change_ms = stats.mtimeMs
+    }
 
-    const stats = await path_stat(this.template_filepath)
-    assert(
-      stats != null,
-      new StratisNotFoundError(
+    try {
+      await this._compile_template()
+    } catch (err) {
+      // retry on the next render.
+      if (this.bank.watcher != null) this._invalidated = true
+      throw err
+    }
+  }
+
+  /**
+   * Read and compile the template file.
+   */
+  async _compile_template() {
+    let template_string = null
+    try {
+      template_string = await fs.promises.readFile(
+        this.template_filepath,
+        'utf-8'
+      )
+    } catch (err) {
+      if (err.code != 'ENOENT') throw err
+      throw new StratisNotFoundError(
         `Template file ${this.template_filepath} not found`
       )
-    )
+    }
 
-    const template_string = await fs.promises.readFile(
-      this.template_filepath,
-      'utf-8'
-    )
+    if (this.stratis.logging_options.return_stack_trace_to_client) {
+      // compiled as a client function, to allow mapping errors back
+      // to the template source for the error overlay (see get_error_frame)
+      const render_options = Object.assign({}, this.stratis.template_options, {
+        filename: this.template_filepath,
+        compileDebug: true,
+        client: true,
+        async: true,
+      })
+
+      const render = ejs.compile(template_string, render_options)
+      const escape_function = render_options.escape || ejs.escapeXML
+
+      this._template_lines = template_string.split('\n')
+      this._compiled_source_lines = render.toString().split('\n')
+      this._render = (data, rethrow) =>
+        render.call(this, data, escape_function, null, rethrow)
+    } else {
+      const render_options = Object.assign({}, this.stratis.template_options, {
+        context: this,
+        async: true,
+      })
+
+      this._template_lines = null
+      this._compiled_source_lines = null
+      this._render = ejs.compile(template_string, render_options)
+    }
 
-    const render_options = Object.assign({}, this.stratis.template_options, {
-      context: this,
-      async: true,
-    })
+    this._last_compiled = new Date()
+  }
 
-    this._render = ejs.compile(template_string, render_options)
+  /**
+   * Map an error raised while rendering this template to the template source location.
+   * @param {Error} err The error
+   * @param {number} line The template line, as reported by the ejs render.
+   * @returns {StratisTemplateErrorFrame}
+   */
+  get_error_frame(err, line = null) {
+    let column = null
+
+    // the compiled function stack frames are named by the template filepath.
+    const frame_prefix = `${JSON.stringify(this.template_filepath)}:`
+    const occurrence = (err.template_frames || []).filter(
+      (f) => f.filepath == this.template_filepath
+    ).length
+
+    const frame = `${err.stack || ''}`
+      .split('\n')
+      .filter((l) => l.includes(frame_prefix))[occurrence]
+
+    if (frame != null && this._compiled_source_lines != null) {
+      const [row, col] = frame
+        .substr(frame.indexOf(frame_prefix) + frame_prefix.length)
+        .split(':')
+        .map((v) => parseInt(v))
+
+      // find the template line by the last ejs __line marker.
+      if (line == null)
+        for (let i = row - 1; i >= 0 && line == null; i--) {
+          const markers = [
+            ...(this._compiled_source_lines[i] || '').matchAll(
+              /__line = (\d+)/g
+            ),
+          ]
+          if (markers.length > 0)
+            line = parseInt(markers[markers.length - 1][1])
+        }
+
+      // the template code is copied as is, find the code in the template line.
+      const code = (this._compiled_source_lines[row - 1] || '')
+        .substr(col - 1)
+        .replace(/^__append\((escapeFn\()?\s*/, '')
+      const template_line = this._template_lines[line - 1]
+      if (template_line != null)
+        for (let len = Math.min(code.length, 40); len >= 3; len--) {
+          const idx = template_line.indexOf(code.substr(0, len))
+          if (idx == -1) continue
+          column = idx + 1
+          break
+        }
+    }
+
+    return {
+      filepath: this.template_filepath,
+      line,
+      column,
+    }
   }
 
   /**
@@ -298,17 +445,29 @@ class StratisEJSTemplate {
    * @returns
    */
   async render(data) {
-    await this.compile()
+    let error_line = null
     try {
-      return await this._render(data || {})
-    } catch (err) {
-      const render_error = `Error rendering template @ ${this.template_filepath}`
-      if (err.message != null) {
-        err.message = `${render_error}: ${err.message}`
+      await this.compile()
+      return await this._render(data || {}, (err, lines, filename, line) => {
+        error_line = line
         throw err
-      } else {
-        throw new Error(`${render_error}: ${err}`)
+      })
+    } catch (err) {
+      if (!(err instanceof Error)) err = new Error(`${err}`)
+
+      // the template frames (include chain), from the failing template out.
+      const frame = this.get_error_frame(err, error_line)
+      if (err.template_frames == null) {
+        const location = [frame.filepath, frame.line, frame.column]
+          .filter((v) => v != null)
+          .join(':')
+        const message = err.message
+        err.message = `Error rendering template @ ${location}: ${message}`
+        err.stack = `${err.stack}`.replace(message, err.message)
+        err.template_frames = []
       }
+      err.template_frames.push(frame)
+      throw err
     }
   }
 }
@@ -348,7 +507,25 @@ class StratisEJSTemplateBank {
       interval,
       cleaning_interval,
       reset_cache_timestamp_on_get,
+      // expired files are no longer watched (polled), tracked again when loaded.
+      on_delete: (template_filepath) => {
+        if (this.watcher != null) this.watcher.untrack(template_filepath)
+      },
     })
+
+    /**
+     * If defined, the templates are recompiled when the watcher reports a change (see invalidate),
+     * and the template files are not checked on render.
+     * @type {import('./watcher').StratisFileWatcher}
+     */
+    this.watcher = null
+
+    /**
+     * The templates included by each page template (any depth), by the page template filepath.
+     * Collected when rendering.
+     * @type {Map<string, Set<string>>}
+     */
+    this._dependencies = new Map()
   }
 
   get cache() {
@@ -366,6 +543,7 @@ class StratisEJSTemplateBank {
    * @returns {StratisEJSTemplate} The template
    */
   load(template_filepath, no_cache = false) {
+    template_filepath = path.resolve(template_filepath)
     /**
      * @type {StratisEJSTemplate}
      */
@@ -373,11 +551,49 @@ class StratisEJSTemplateBank {
     if (template == null) {
       template = new StratisEJSTemplate(this, template_filepath)
       this.cache.set(template_filepath, template)
+      if (this.watcher != null) this.watcher.track(template_filepath)
     }
 
     return template
   }
 
+  /**
+   * Recompile the cached template on the next render (the template file changed).
+   * @param {string} template_filepath
+   * @returns {boolean} True if the template was cached.
+   */
+  invalidate(template_filepath) {
+    /** @type {StratisEJSTemplate} */
+    const template = this.cache.get(template_filepath)
+    if (template == null) return false
+    template.invalidate()
+    return true
+  }
+
+  /**
+   * Record that a page template includes a template.
+   * @param {string} page_filepath The page template filepath.
+   * @param {string} template_filepath The included template filepath.
+   */
+  add_dependency(page_filepath, template_filepath) {
+    page_filepath = path.resolve(page_filepath)
+    if (!this._dependencies.has(page_filepath))
+      this._dependencies.set(page_filepath, new Set())
+    this._dependencies.get(page_filepath).add(path.resolve(template_filepath))
+  }
+
+  /**
+   * @param {string} page_filepath The page template filepath.
+   * @param {string} template_filepath The template filepath.
+   * @returns {boolean} True if the page template included the template when last rendered.
+   */
+  depends_on(page_filepath, template_filepath) {
+    const dependencies = this._dependencies.get(path.resolve(page_filepath))
+    return (
+      dependencies != null && dependencies.has(path.resolve(template_filepath))
+    )
+  }
+
   /**
    * Render the stratis template from the template objects.
    * @param {string} template_filepath The path to the template to render.
@@ -387,6 +603,9 @@ class StratisEJSTemplateBank {
   async render(template_filepath, context = null) {
     const template = await this.load(template_filepath)
 
+    // collected again while rendering.
+    this._dependencies.delete(path.resolve(template_filepath))
+
     if (context == null) context = {}
     else if (context instanceof StratisEJSTemplateRenderContext)
       context = Object.assign({}, context.data)
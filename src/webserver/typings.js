@@ -0,0 +1,292 @@
+const {
+  to_doc_comment,
+  to_typescript_type,
+  to_typescript_property_key,
+  jsdoc_type_to_typescript,
+} = require('../utils/typescript')
+
+/**
+ * @typedef {import('./code').StratisCodeObject} StratisCodeObject
+ */
+
+/**
+ * @typedef {Object} StratisTypingsArgs
+ * @property {string} type The args typescript type.
+ * @property {boolean} optional If true, the args may be omitted.
+ */
+
+/**
+ * @typedef {Object} StratisBrowserApiTypingsOptions
+ * @property {string} api_name The browser api class name.
+ * @property {string} title The typings header title (e.g. the page route)
+ * @property {[StratisCodeObject]} code_objects The page api code objects.
+ * @property {[string]} common_api_names The names of the common (built in) api methods.
+ * @property {[string]} push_notifications The page push notification names.
+ */
+
+/**
+ * Typings for the built in api methods (see StratisPageCallContext.get_api_objects)
+ */
+const BUILTIN_API_TYPINGS = {
+  render_stratis_api_yaml_description: {
+    args: null,
+    returns: 'string',
+    description: 'Render the page OpenAPI document as yaml.',
+  },
+  render_stratis_api_json_description: {
+    args: null,
+    returns: 'string',
+    description: 'Render the page OpenAPI document as json.',
+  },
+  render_stratis_api_description: {
+    args: null,
+    returns: 'string',
+    description:
+      'Render the page api description (path and api method names) as json.',
+  },
+  render_stratis_browser_api_script: {
+    args: "{ api_name?: string; websocket_path?: string; needs_core?: boolean; transport?: 'auto' | 'websocket' | 'http' }",
+    returns: 'string',
+    description: 'Render the page browser api script.',
+  },
+  render_stratis_browser_api_types: {
+    args: '{ api_name?: string }',
+    returns: 'string',
+    description: 'Render the page browser api typescript declarations.',
+  },
+}
+
+/**
+ * @param {StratisCodeObject} code_object
+ * @param {string} indent
+ * @returns {StratisTypingsArgs} The api call args type, from the args schema or the jsdoc
+ * param tags of the first parameter (e.g. args.value)
+ */
+function get_code_object_args_typings(code_object, indent = '') {
+  if (code_object.args_schema != null) {
+    const schema = Object.assign({ type: 'object' }, code_object.args_schema)
+    return {
+      type: to_typescript_type(schema, indent),
+      optional: (schema.required || []).length == 0,
+    }
+  }
+
+  const params = (code_object.jsdoc && code_object.jsdoc.params) || []
+  if (typeof code_object.val != 'function' || params.length == 0)
+    return { type: 'Record<string, any>', optional: true }
+
+  const root = params[0]
+  const properties = params.filter(
+    (p) =>
+      p.name.startsWith(root.name + '.') &&
+      !p.name.includes('.', root.name.length + 1)
+  )
+
+  if (properties.length == 0) {
+    // api call args are always a dictionary.
+    const type = jsdoc_type_to_typescript(root.type)
+    return /^(\{|Record<)/.test(type)
+      ? { type, optional: root.optional }
+      : { type: 'Record<string, any>', optional: true }
+  }
+
+  const inner_indent = indent + '  '
+  const members = properties.map(
+    (p) =>
+      to_doc_comment(p.description, inner_indent) +
+      `${inner_indent}${to_typescript_property_key(
+        p.name.substring(root.name.length + 1)
+      )}${p.optional ? '?' : ''}: ${jsdoc_type_to_typescript(p.type)}`
+  )
+  members.push(`${inner_indent}[key: string]: any`)
+
+  return {
+    type: `{\n${members.join('\n')}\n${indent}}`,
+    optional: root.optional || properties.every((p) => p.optional),
+  }
+}
+
+/**
+ * @param {StratisCodeObject} code_object
+ * @param {string} indent
+ * @returns {string} The api call (resolved) return type, from the returns schema, the jsdoc
+ * returns tag or the value type (for template args)
+ */
+function get_code_object_returns_typings(code_object, indent = '') {
+  if (code_object.returns_schema != null)
+    return to_typescript_type(code_object.returns_schema, indent)
+
+  if (typeof code_object.val != 'function') {
+    const val = code_object.val
+    if (val === null) return 'null'
+    if (['string', 'number', 'boolean'].includes(typeof val)) return typeof val
+    return Array.isArray(val) ? 'Array<any>' : 'any'
+  }
+
+  if (code_object.jsdoc == null || code_object.jsdoc.returns == null)
+    return 'any'
+
+  const returns = code_object.jsdoc.returns.trim()
+  const as_promise = returns.match(/^Promise\s*<([\s\S]*)>$/)
+  return jsdoc_type_to_typescript(as_promise ? as_promise[1] : returns)
+}
+
+/**
+ * @param {string} name
+ * @param {StratisTypingsArgs} args
+ * @param {string} returns
+ * @param {string} description
+ */
+function create_browser_api_method_typings(name, args, returns, description) {
+  // the options are always the second call argument (see the client api_call)
+  const args_declare =
+    args == null
+      ? 'args?: Record<string, never> | null, '
+      : `args${args.optional ? '?' : ''}: ${args.type}, `
+  return (
+    to_doc_comment(description, '  ') +
+    `  static ${name}(${args_declare}options?: number | StratisApiCallOptions): Promise<${returns}>`
+  )
+}
+
+/**
+ * Creates the typescript declarations (.d.ts) for a page browser api class
+ * (see render_stratis_browser_api_script)
+ * @param {StratisBrowserApiTypingsOptions} param0
+ * @returns {string} The typescript declarations.
+ */
+function create_browser_api_typings({
+  api_name = 'stratis',
+  title = null,
+  code_objects = [],
+  common_api_names = [],
+  push_notifications = [],
+}) {
+  const push_notification_names =
+    push_notifications.length == 0
+      ? 'string'
+      : push_notifications.map((n) => JSON.stringify(n)).join(' | ')
+
+  const methods = []
+
+  for (let name of common_api_names) {
+    if (code_objects.some((o) => o.name == name)) continue
+    const builtin = BUILTIN_API_TYPINGS[name]
+    methods.push(
+      builtin == null
+        ? create_browser_api_method_typings(
+            name,
+            { type: 'Record<string, any>', optional: true },
+            'any'
+          )
+        : create_browser_api_method_typings(
+            name,
+            builtin.args == null
+              ? null
+              : { type: builtin.args, optional: true },
+            builtin.returns,
+            builtin.description
+          )
+    )
+  }
+
+  for (let code_object of code_objects)
+    methods.push(
+      create_browser_api_method_typings(
+        code_object.name,
+        get_code_object_args_typings(code_object, '  '),
+        get_code_object_returns_typings(code_object, '  '),
+        code_object.description
+      )
+    )
+
+  return `/**
+ * Stratis browser api${title == null ? '' : ` for ${title}`}.
+ * Auto generated, do not edit.
+ */
+
+// The shared declarations are interfaces and vars, which merge when the typings
+// of multiple pages are included in a project.
+
+interface StratisErrorObject {
+  /** The stable error code, e.g. not_found, validation_error, internal_error */
+  code: string
+  status: number
+  message: string
+  details: any
+  /** The server request id (for the server error logs) */
+  request_id: string | null
+}
+
+/** The api call options (see the client api_call). */
+interface StratisApiCallOptions {
+  /** The call timeout [ms] */
+  timeout?: number
+  /** If aborted (or the call timed out), the call is cancelled on the server. */
+  signal?: AbortSignal
+  /** Called with the streamed result chunks. The call resolves when the stream ends. */
+  on_chunk?: (chunk: any) => any
+  /** The type of binary results. Defaults to blob. */
+  binary_type?: 'blob' | 'arraybuffer'
+}
+
+/** An error returned by a stratis api call. */
+interface StratisApiError extends Error {
+  code: string
+  status: number
+  details: any
+  request_id: string | null
+  /** If true, the server requested a page reload. */
+  reload: boolean
+}
+
+interface StratisApiErrorConstructor {
+  new (error: Partial<StratisErrorObject> | string, reload?: boolean): StratisApiError
+  readonly prototype: StratisApiError
+}
+
+declare var StratisApiError: StratisApiErrorConstructor
+
+declare class ${api_name} {
+  /** The api call error type. */
+  static readonly StratisApiError: typeof StratisApiError
+
+  /**
+   * Listen to a server push notification.
+   * @param name The name of the push notification.
+   * @param handler The notification handler.
+   * @returns The event listener (to be used with clear)
+   */
+  static on(
+    name: ${push_notification_names},
+    handler: (args: any, ev: Event) => any
+  ): (ev: Event) => any
+
+  /**
+   * Stop listening to a server push notification.
+   * @param name The name of the push notification.
+   * @param listener The listener returned by on.
+   */
+  static clear(name: ${push_notification_names}, listener: (ev: Event) => any): void
+
+  /**
+   * Call multiple api methods in a single request. Errors are returned per call.
+   * @param calls The calls.
+   * @param options The timeout in ms, or the call options.
+   * @returns The call results, in order.
+   */
+  static batch(
+    calls: Array<{ name: string; args?: Record<string, any> }>,
+    options?: number | Pick<StratisApiCallOptions, 'timeout' | 'signal'>
+  ): Promise<Array<{ response?: any; error?: StratisErrorObject }>>
+
+${methods.join('\n')}
+}
+`
+}
+
+module.exports = {
+  create_browser_api_typings,
+  get_code_object_args_typings,
+  get_code_object_returns_typings,
+}
@@ -0,0 +1,196 @@
+const fs = require('fs')
+const path = require('path')
+const events = require('events')
+
+/**
+ * Directories that are never watched.
+ */
+const WATCH_IGNORE_DIRECTORIES = new Set(['node_modules'])
+
+/**
+ * @typedef {'auto'|'native'|'poll'} StratisFileWatchMode
+ */
+
+/**
+ * @typedef {Object} StratisFileWatcherOptions
+ * @property {StratisFileWatchMode} mode The watch mode. native watches the directories with fs.watch
+ * (inotify), poll checks the tracked files modified time every poll_interval. auto uses native,
+ * and falls back to polling if native watching is not available.
+ * @property {number} poll_interval The tracked files polling interval [ms]
+ * @property {number} debounce Wait for the file changes to settle before emitting the
+ * change event [ms]. Editors may write a file multiple times on save.
+ */
+
+class StratisFileWatcher extends events.EventEmitter {
+  /**
+   * Watches directories (recursive) and tracked files for changes. Emits the 'change' event
+   * with the changed filepath. Tracked files that are not in a natively watched directory
+   * are polled. Hidden files and node_modules are ignored, unless tracked.
+   * @param {StratisFileWatcherOptions} param0
+   */
+  constructor({ mode = 'auto', poll_interval = 1000, debounce = 100 } = {}) {
+    super()
+    this.mode = mode
+    this.poll_interval = poll_interval
+    this.debounce = debounce
+
+    /**
+     * The watched directories. The directory fs watcher is null if polled.
+     * @type {Map<string, fs.FSWatcher>}
+     */
+    this._directories = new Map()
+    /** @type {Set<string>} */
+    this._tracked = new Set()
+    /** @type {Set<string>} */
+    this._polled = new Set()
+    /** @type {Map<string, NodeJS.Timeout>} */
+    this._pending = new Map()
+  }
+
+  /**
+   * @param {string} filepath
+   * @returns {string} The natively watched directory that contains the file, or null.
+   */
+  get_watching_directory(filepath) {
+    for (let [dirpath, watcher] of this._directories)
+      if (watcher != null && !path.relative(dirpath, filepath).startsWith('..'))
+        return dirpath
+    return null
+  }
+
+  /**
+   * @param {string} dirpath The watched directory.
+   * @param {string} filepath
+   * @returns {boolean} True if changes to the filepath should be ignored.
+   */
+  is_ignored(dirpath, filepath) {
+    if (this._tracked.has(filepath)) return false
+    return path
+      .relative(dirpath, filepath)
+      .split(path.sep)
+      .some(
+        (part) => part.startsWith('.') || WATCH_IGNORE_DIRECTORIES.has(part)
+      )
+  }
+
+  /**
+   * Watch a directory (recursive).
+   * @param {string} dirpath
+   */
+  watch(dirpath) {
+    dirpath = path.resolve(dirpath)
+    if (this._directories.has(dirpath)) return
+
+    let watcher = null
+    if (this.mode != 'poll')
+      try {
+        watcher = fs.watch(
+          dirpath,
+          { recursive: true, persistent: false },
+          (event_type, filename) => {
+            if (filename == null) return
+            const filepath = path.join(dirpath, filename.toString())
+            if (!this.is_ignored(dirpath, filepath)) this._on_change(filepath)
+          }
+        )
+        watcher.on('error', (err) => this._fallback_to_polling(dirpath, err))
+      } catch (err) {
+        if (this.mode == 'native') throw err
+        this.emit('fallback', dirpath, err)
+      }
+
+    this._directories.set(dirpath, watcher)
+    for (let filepath of this._tracked) this._update_polling(filepath)
+  }
+
+  /**
+   * Report the changes of a file (that may not exist yet). Polled if not in
+   * a natively watched directory.
+   * @param {string} filepath
+   */
+  track(filepath) {
+    filepath = path.resolve(filepath)
+    if (this._tracked.has(filepath)) return
+    this._tracked.add(filepath)
+    this._update_polling(filepath)
+  }
+
+  /**
+   * @param {string} filepath
+   */
+  untrack(filepath) {
+    filepath = path.resolve(filepath)
+    this._tracked.delete(filepath)
+    this._update_polling(filepath)
+  }
+
+  /**
+   * Stop watching, and stop polling the tracked files.
+   */
+  close() {
+    for (let watcher of this._directories.values())
+      if (watcher != null) watcher.close()
+    for (let filepath of this._polled) fs.unwatchFile(filepath)
+    for (let timeout_id of this._pending.values()) clearTimeout(timeout_id)
+    this._directories.clear()
+    this._tracked.clear()
+    this._polled.clear()
+    this._pending.clear()
+  }
+
+  /**
+   * @param {string} filepath
+   */
+  _update_polling(filepath) {
+    const should_poll =
+      this._tracked.has(filepath) &&
+      this.get_watching_directory(filepath) == null
+
+    if (should_poll && !this._polled.has(filepath)) {
+      this._polled.add(filepath)
+      fs.watchFile(
+        filepath,
+        { interval: this.poll_interval, persistent: false },
+        (current, previous) => {
+          if (current.mtimeMs != previous.mtimeMs) this._on_change(filepath)
+        }
+      )
+    } else if (!should_poll && this._polled.has(filepath)) {
+      this._polled.delete(filepath)
+      fs.unwatchFile(filepath)
+    }
+  }
+
+  /**
+   * @param {string} dirpath
+   * @param {Error} err
+   */
+  _fallback_to_polling(dirpath, err) {
+    const watcher = this._directories.get(dirpath)
+    if (watcher == null) return
+    watcher.close()
+    if (this.mode == 'native') this.emit('error', err)
+    else this.emit('fallback', dirpath, err)
+
+    this._directories.set(dirpath, null)
+    for (let filepath of this._tracked) this._update_polling(filepath)
+  }
+
+  /**
+   * @param {string} filepath
+   */
+  _on_change(filepath) {
+    clearTimeout(this._pending.get(filepath))
+    this._pending.set(
+      filepath,
+      setTimeout(() => {
+        this._pending.delete(filepath)
+        this.emit('change', filepath)
+      }, this.debounce)
+    )
+  }
+}
+
+module.exports = {
+  StratisFileWatcher,
+}
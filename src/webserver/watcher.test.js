@@ -0,0 +1,171 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { assert } = require('../common')
+const { StratisFileWatcher } = require('./watcher')
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Run the test with a temp directory and a watcher. Closes both when done.
+ * @param {import('./watcher').StratisFileWatcherOptions} options The watcher options.
+ * @param {(dirpath:string, watcher:StratisFileWatcher, changes:[string])=>Promise} handler
+ */
+async function with_watcher(options, handler) {
+  const dirpath = fs.mkdtempSync(path.join(os.tmpdir(), 'stratis-watch-test-'))
+  const watcher = new StratisFileWatcher(options)
+  const changes = []
+  watcher.on('change', (filepath) => changes.push(filepath))
+  try {
+    await handler(dirpath, watcher, changes)
+  } finally {
+    watcher.close()
+    fs.rmSync(dirpath, { recursive: true })
+  }
+}
+
+/**
+ * Change a file modified time (mtime is not always updated for fast writes)
+ * @param {string} filepath
+ * @param {number} seconds_from_now
+ */
+function touch(filepath, seconds_from_now) {
+  const mtime = new Date(Date.now() + seconds_from_now * 1000)
+  fs.utimesSync(filepath, mtime, mtime)
+}
+
+async function test_poll_mode_detects_tracked_changes() {
+  await with_watcher(
+    { mode: 'poll', poll_interval: 20, debounce: 20 },
+    async (dirpath, watcher, changes) => {
+      const filepath = path.join(dirpath, 'index.html')
+      fs.writeFileSync(filepath, 'a')
+
+      watcher.watch(dirpath)
+      assert(watcher.get_watching_directory(filepath) == null, 'Not polled')
+      watcher.track(filepath)
+      await sleep(100)
+
+      touch(filepath, 1)
+      await sleep(200)
+      assert(
+        changes.length == 1 && changes[0] == filepath,
+        'Polled change not detected: ' + JSON.stringify(changes)
+      )
+
+      // untracked files are no longer polled.
+      watcher.untrack(filepath)
+      assert(watcher._polled.size == 0, 'Untracked file is still polled')
+      touch(filepath, 2)
+      await sleep(200)
+      assert(changes.length == 1, 'Change detected for an untracked file')
+    }
+  )
+}
+
+async function test_debounce_collapses_changes() {
+  await with_watcher(
+    { mode: 'poll', debounce: 50 },
+    async (dirpath, watcher, changes) => {
+      const filepath = path.join(dirpath, 'index.html')
+      for (let i = 0; i < 5; i++) {
+        watcher._on_change(filepath)
+        await sleep(10)
+      }
+      watcher._on_change(path.join(dirpath, 'other.html'))
+      assert(changes.length == 0, 'Change emitted before the debounce')
+
+      await sleep(150)
+      assert(
+        JSON.stringify(changes) ==
+          JSON.stringify([filepath, path.join(dirpath, 'other.html')]),
+        'Expected one change per file: ' + JSON.stringify(changes)
+      )
+    }
+  )
+}
+
+async function test_native_mode_ignores_hidden_files() {
+  await with_watcher(
+    { mode: 'native', debounce: 50 },
+    async (dirpath, watcher, changes) => {
+      fs.mkdirSync(path.join(dirpath, 'node_modules'))
+      watcher.watch(dirpath)
+      await sleep(50)
+
+      fs.writeFileSync(path.join(dirpath, '.hidden'), 'a')
+      fs.writeFileSync(path.join(dirpath, 'node_modules', 'lib.js'), 'a')
+      const filepath = path.join(dirpath, 'index.html')
+      for (let i = 0; i < 3; i++) fs.writeFileSync(filepath, `${i}`)
+      await sleep(300)
+
+      assert(
+        JSON.stringify(changes) == JSON.stringify([filepath]),
+        'Expected a single change for index.html: ' + JSON.stringify(changes)
+      )
+    }
+  )
+}
+
+async function test_fallback_to_polling() {
+  await with_watcher(
+    { mode: 'auto', poll_interval: 20, debounce: 20 },
+    async (dirpath, watcher, changes) => {
+      const fallbacks = []
+      watcher.on('fallback', (dirpath) => fallbacks.push(dirpath))
+
+      const filepath = path.join(dirpath, 'index.html')
+      fs.writeFileSync(filepath, 'a')
+      watcher.watch(dirpath)
+      watcher.track(filepath)
+      assert(watcher._polled.size == 0, 'Natively watched file was polled')
+
+      // e.g. out of inotify watches.
+      watcher._directories.get(dirpath).emit('error', new Error('ENOSPC'))
+      assert(
+        fallbacks.length == 1 && fallbacks[0] == dirpath,
+        'Expected a fallback event'
+      )
+      assert(watcher._polled.has(filepath), 'Tracked file was not polled')
+      await sleep(100)
+
+      touch(filepath, 1)
+      await sleep(200)
+      assert(changes.includes(filepath), 'Polled change not detected')
+
+      // directories that cannot be watched natively.
+      const missing = path.join(dirpath, 'missing')
+      watcher.watch(missing)
+      assert(fallbacks.includes(missing), 'Expected a fallback for missing')
+    }
+  )
+
+  await with_watcher({ mode: 'native' }, async (dirpath, watcher) => {
+    const errors = []
+    watcher.on('error', (err) => errors.push(err))
+    watcher.watch(dirpath)
+    watcher._directories.get(dirpath).emit('error', new Error('ENOSPC'))
+    assert(errors.length == 1, 'Expected an error event in native mode')
+
+    let watch_error = null
+    try {
+      watcher.watch(path.join(dirpath, 'missing'))
+    } catch (err) {
+      watch_error = err
+    }
+    assert(watch_error != null, 'Expected native watch to throw')
+  })
+}
+
+async function main() {
+  await test_poll_mode_detects_tracked_changes()
+  await test_debounce_collapses_changes()
+  await test_native_mode_ignores_hidden_files()
+  await test_fallback_to_polling()
+  console.log('OK')
+}
+
+main().catch((err) => {
+  console.error(err)
+  process.exit(1)
+})
@@ -0,0 +1,289 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const WebSocket = require('ws')
+const { assert } = require('../common')
+const { Stratis } = require('./stratis')
+const websocket = require('../utils/websocket')
+
+const API_CODE_SOURCE = `const { Readable } = require('stream')
+module.exports = {
+  lines: async () => Readable.from(['a\\n', '', 'b\\n']),
+  bytes: async () =>
+    Readable.from([Buffer.from([0xff, 0x00]), Buffer.from([1])], {
+      objectMode: false,
+    }),
+  endless: async (args, context) => {
+    const readable = new Readable({ read() {} })
+    const interval_id = setInterval(() => readable.push('tick'), 20)
+    readable.on('close', () => {
+      clearInterval(interval_id)
+      module.exports.endless_closed = true
+    })
+    return readable
+  },
+  is_endless_closed: async () => module.exports.endless_closed === true,
+  add: async ({ a, b }) => a + b,
+  fail: async () => {
+    throw new Error('failed in batch')
+  },
+}
+`
+
+/**
+ * Serve an api page and call the handler with the page websocket url.
+ * @param {(url:string, errors:[Error])=>Promise} handler
+ */
+async function with_api_server(handler) {
+  const serve_path = fs.mkdtempSync(path.join(os.tmpdir(), 'stratis-ws-test-'))
+  fs.writeFileSync(path.join(serve_path, 'api.html'), '<html></html>')
+  fs.writeFileSync(path.join(serve_path, 'api.code.js'), API_CODE_SOURCE)
+
+  const stratis = new Stratis()
+  const errors = []
+  stratis.on('error', (err) => errors.push(err))
+
+  const server = stratis.server({ serve_path }).listen(0)
+  await new Promise((resolve) => server.once('listening', resolve))
+
+  try {
+    await handler(`ws://localhost:${server.address().port}/api.html`, errors)
+  } finally {
+    server.close()
+    fs.rmSync(serve_path, { recursive: true })
+  }
+}
+
+class ApiWebSocket {
+  /**
+   * A page api websocket that collects the received frames (json frames are parsed,
+   * binary frames are decoded).
+   * @param {WebSocket} ws
+   */
+  constructor(ws) {
+    this.ws = ws
+    /** @type {[Object]} */
+    this.frames = []
+    this._waiting = []
+    ws.on('message', (data, is_binary) => {
+      this.frames.push(
+        is_binary
+          ? websocket.decode_binary_frame(Buffer.from(data))
+          : JSON.parse(data.toString())
+      )
+      for (let check of this._waiting) check()
+    })
+  }
+
+  /**
+   * @param {string} url
+   */
+  static async connect(url) {
+    const ws = new WebSocket(url)
+    await new Promise((resolve, reject) => {
+      ws.once('open', resolve)
+      ws.once('error', reject)
+    })
+    return new ApiWebSocket(ws)
+  }
+
+  send(frame) {
+    this.ws.send(JSON.stringify(frame))
+  }
+
+  /**
+   * Wait for a frame.
+   * @param {(frame:Object)=>boolean} predicate
+   * @param {number} timeout [ms]
+   * @returns {Promise<Object>} The first matching frame.
+   */
+  wait_for(predicate, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+      const timeout_id = setTimeout(() => {
+        this._waiting = this._waiting.filter((c) => c != check)
+        reject(new Error('Timed out waiting for a websocket frame'))
+      }, timeout)
+      const check = () => {
+        const frame = this.frames.find(predicate)
+        if (frame == null) return
+        clearTimeout(timeout_id)
+        this._waiting = this._waiting.filter((c) => c != check)
+        resolve(frame)
+      }
+      this._waiting.push(check)
+      check()
+    })
+  }
+
+  /**
+   * @param {string} rid
+   * @returns {[Object]} The frames received for the request id.
+   */
+  frames_of(rid) {
+    return this.frames.filter((f) => f.rid == rid)
+  }
+
+  /**
+   * Call an api method and wait for its response.
+   * @param {string} name
+   * @param {Object} args
+   */
+  async call(name, args = {}) {
+    const rid = `${name}-${this.frames.length}-${Math.random()}`
+    this.send({ rid, name, args })
+    return await this.wait_for(
+      (f) => f.rid == rid && ('response' in f || 'error' in f)
+    )
+  }
+
+  close() {
+    this.ws.close()
+  }
+}
+
+async function test_streams_are_sent_as_ordered_frames() {
+  await with_api_server(async (url, errors) => {
+    const api = await ApiWebSocket.connect(url)
+    try {
+      api.send({ rid: 'lines', name: 'lines' })
+      await api.wait_for((f) => f.rid == 'lines' && f.end)
+      assert(
+        JSON.stringify(api.frames_of('lines')) ==
+          JSON.stringify([
+            { rid: 'lines', stream: true },
+            { rid: 'lines', chunk: 'a\n', seq: 0 },
+            { rid: 'lines', chunk: 'b\n', seq: 1 },
+            { rid: 'lines', end: true, seq: 2 },
+          ]),
+        'Invalid text stream frames: ' + JSON.stringify(api.frames_of('lines'))
+      )
+
+      // binary chunks are sent as a header and a binary frame.
+      api.send({ rid: 'bytes', name: 'bytes' })
+      await api.wait_for((f) => f.rid == 'bytes' && f.end)
+      const frames = api.frames_of('bytes')
+      assert(frames.length == 6, `Expected 6 frames, got ${frames.length}`)
+      assert(frames[0].stream === true, 'Expected a stream header')
+      assert(
+        frames[1].binary === true &&
+          frames[1].seq == 0 &&
+          frames[2].payload.toString('hex') == 'ff00',
+        'Invalid first binary chunk'
+      )
+      assert(
+        frames[3].binary === true &&
+          frames[3].seq == 1 &&
+          frames[4].payload.toString('hex') == '01',
+        'Invalid second binary chunk'
+      )
+      assert(frames[5].end === true && frames[5].seq == 2, 'Expected an end')
+      assert(errors.length == 0, 'Unexpected errors')
+    } finally {
+      api.close()
+    }
+  })
+}
+
+async function test_cancel_stops_stream() {
+  await with_api_server(async (url) => {
+    const api = await ApiWebSocket.connect(url)
+    try {
+      api.send({ rid: 'endless', name: 'endless' })
+      await api.wait_for((f) => f.rid == 'endless' && f.seq == 2)
+      api.send({ rid: 'endless', cancel: true })
+
+      await new Promise((resolve) => setTimeout(resolve, 100))
+      const received = api.frames_of('endless').length
+      await new Promise((resolve) => setTimeout(resolve, 100))
+      assert(
+        api.frames_of('endless').length == received,
+        'Frames were sent after the stream was cancelled'
+      )
+      assert(
+        (await api.call('is_endless_closed')).response === true,
+        'Cancelled stream was not destroyed'
+      )
+    } finally {
+      api.close()
+    }
+  })
+}
+
+async function test_batch_calls() {
+  const calls = [
+    { name: 'add', args: { a: 1, b: 2 } },
+    { name: 'fail' },
+    { name: 'lines' },
+    { name: 'add', args: { a: 2, b: 2 } },
+  ]
+
+  /**
+   * @param {[Object]} results
+   * @param {string} transport
+   */
+  const check_results = (results, transport) => {
+    assert(
+      Array.isArray(results) && results.length == 4,
+      `Invalid ${transport} batch results: ${JSON.stringify(results)}`
+    )
+    assert(results[0].response == 3, `Invalid ${transport} first result`)
+    assert(
+      results[1].error != null &&
+        results[1].error.message.includes('failed in batch'),
+      `Expected a ${transport} call error`
+    )
+    assert(
+      results[2].error != null &&
+        results[2].error.message.includes('Streamed results'),
+      `Expected a ${transport} streamed result error`
+    )
+    assert(results[3].response == 4, `Invalid ${transport} last result`)
+  }
+
+  await with_api_server(async (url, errors) => {
+    const api = await ApiWebSocket.connect(url)
+    try {
+      api.send({ rid: 'batch', batch: calls })
+      const frame = await api.wait_for((f) => f.rid == 'batch')
+      check_results(frame.response, 'websocket')
+
+      api.send({ rid: 'bad', batch: [{ args: {} }] })
+      const invalid = await api.wait_for((f) => f.rid == 'bad')
+      assert(invalid.error != null, 'Invalid websocket batch not rejected')
+    } finally {
+      api.close()
+    }
+
+    const http_url = url.replace(/^ws:/, 'http:') + '/stratis_batch'
+    let res = await fetch(http_url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ calls }),
+    })
+    assert(res.status == 200, `Expected 200, got ${res.status}`)
+    check_results(await res.json(), 'http')
+
+    res = await fetch(http_url)
+    assert(res.status == 405, `Expected 405 for GET, got ${res.status}`)
+
+    res = await fetch(http_url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ calls: 3 }),
+    })
+    assert(res.status == 400, `Expected 400, got ${res.status}`)
+    assert(errors.length > 0, 'Expected the call errors to be emitted')
+  })
+}
+
+async function main() {
+  await test_streams_are_sent_as_ordered_frames()
+  await test_cancel_stops_stream()
+  await test_batch_calls()
+  console.log('OK')
+}
+
+main().catch((err) => {
+  console.error(err)
+  process.exit(1)
+})